@@ -0,0 +1,425 @@
+// 헤드리스 에이전트: Electron 앱 없이 Node만으로 금고를 열고 CLI 요청을 처리 (SSH 세션, WSL, 화면 없는 Linux 등)
+// - 잠금 해제: 에이전트를 실행한 터미널에서 마스터 비밀번호 입력 (키 파일은 --keyfile 또는 앱에서 마지막으로 사용한 경로)
+// - 승인: 접근 토큰·접근 정책·기억된 승인은 앱과 같음, 그 밖의 요청은 이 터미널에서 묻고
+//   --no-prompt로 실행하면 묻지 않고 거부 (정책·토큰으로 허용한 요청만 처리)
+// - 앱과 같은 server-info.json·소켓을 사용하므로 기존 CLI 명령은 그대로 동작
+//   (앱과 동시에 실행할 수 없음, 잠긴 채 실행 중인 앱도 instance.lock으로 확인)
+// - 자동 잠금: 설정의 자동 잠금 시간 동안 CLI 요청이 없으면 잠그고 다시 비밀번호를 물음
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { Writable } = require("stream");
+
+const VaultManager = require("../src/modules/vault-manager");
+const Logger = require("../src/modules/logger");
+const HttpServer = require("../src/modules/http-server");
+const UnlockThrottle = require("../src/modules/unlock-throttle");
+const ApprovalGrants = require("../src/modules/approval-grants");
+const ApprovalQueue = require("../src/modules/approval-queue");
+const ChangeFeed = require("../src/modules/change-feed");
+const { readKeyfileDigest } = require("../src/modules/keyfile");
+const { loadSettingsFile } = require("../src/modules/settings");
+const { formatClient } = require("../src/modules/process-info");
+const { acquireInstanceLock, releaseInstanceLock } = require("../src/modules/instance-lock");
+
+const LOCALKEYS_DIR = path.join(os.homedir(), ".localkeys");
+const SETTINGS_FILE = path.join(LOCALKEYS_DIR, "settings.json");
+const AUTO_LOCK_CHECK_MS = 10000;
+
+// 승인 프롬프트의 기억 기간 선택 (approval-grants.js의 범위)
+const REMEMBER_CHOICES = {
+    t: { scope: "15m", label: "for 15 minutes" },
+    s: { scope: "session", label: "for this terminal session" },
+    l: { scope: "lock", label: "until the agent locks" },
+};
+
+function getAppVersion() {
+    try {
+        return require("../package.json").version || "0.0.0";
+    } catch {
+        return "0.0.0";
+    }
+}
+
+// 터미널 입출력 (비밀번호 입력은 화면에 표시하지 않음)
+// readline의 출력을 중간 스트림으로 받아, 비밀번호를 입력하는 동안에는 에코를 버림
+function createTerminal() {
+    let muted = false;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) process.stdout.write(chunk, encoding);
+            callback();
+        },
+    });
+    // 줄바꿈 계산에 쓰이는 터미널 너비
+    output.columns = process.stdout.columns;
+    process.stdout.on("resize", () => {
+        output.columns = process.stdout.columns;
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+    return {
+        rl,
+        // signal로 중단하면 null 반환
+        question(query, signal = null) {
+            return new Promise((resolve) => {
+                const onAbort = () => {
+                    rl.output.write("\n");
+                    resolve(null);
+                };
+                if (signal) {
+                    if (signal.aborted) return resolve(null);
+                    signal.addEventListener("abort", onAbort, { once: true });
+                }
+                rl.question(query, signal ? { signal } : {}, (answer) => {
+                    signal?.removeEventListener("abort", onAbort);
+                    resolve(answer);
+                });
+            });
+        },
+        async secret(query) {
+            rl.output.write(query);
+            muted = true;
+            try {
+                return await new Promise((resolve) => rl.question("", resolve));
+            } finally {
+                muted = false;
+                rl.output.write("\n");
+            }
+        },
+        close() {
+            rl.close();
+        },
+    };
+}
+
+class Agent {
+    // options: { keyfilePath, prompt } (prompt: false면 승인을 묻지 않고 거부)
+    constructor(options) {
+        this.options = options;
+        this.terminal = createTerminal();
+        this.logger = new Logger(path.join(LOCALKEYS_DIR, "logs.enc"));
+        this.unlockThrottle = new UnlockThrottle(path.join(LOCALKEYS_DIR, "unlock-attempts.json"));
+        this.vaultManager = new VaultManager(LOCALKEYS_DIR);
+        // KDF 업그레이드로 시스템 키가 바뀌면 기존 로그도 새 키로 재암호화
+        this.vaultManager.setSystemKeyChangeHandler((previousKey, newKey) => {
+            this.logger.setEncryptionKey(previousKey);
+            this.logger.rekey(newKey);
+        });
+        this.approvalGrants = new ApprovalGrants();
+        this.approvalQueue = new ApprovalQueue((request, queue) => this.promptApproval(request, queue));
+        this.changeFeed = new ChangeFeed();
+        this.httpServer = null;
+        this.isUnlocked = false;
+        this.unlockedAt = 0;
+        this.timers = [];
+        // 진행 중인 승인 프롬프트 (잠그면 중단)
+        this.promptAbort = null;
+        // 잠기면 resolve (다시 비밀번호를 물음)
+        this.lockedSignal = null;
+
+        this.changeFeed.subscribe((event) => {
+            if (this.httpServer) this.httpServer.publishEvent(event);
+        });
+        this.vaultManager.setChangeNotifier((vaultId, vault, reason) => {
+            if (reason === "loaded") {
+                this.changeFeed.reset(vaultId, vault);
+            } else if (reason === "locked") {
+                this.changeFeed.forget(vaultId);
+            } else {
+                this.changeFeed.changed(vaultId, this.vaultManager.getVaultName(vaultId), vault);
+            }
+        });
+    }
+
+    async run() {
+        this.vaultManager.init();
+        if (!this.vaultManager.systemVault.exists()) {
+            throw new Error("LocalKeys is not set up. Please run the GUI application first.");
+        }
+
+        for (;;) {
+            const settings = loadSettingsFile(SETTINGS_FILE);
+            this.vaultManager.setBackupPolicy(settings.backups);
+            await this.unlock(settings);
+            await this.serve(settings);
+            await new Promise((resolve) => {
+                this.lockedSignal = resolve;
+            });
+        }
+    }
+
+    // 비밀번호가 맞을 때까지 묻기 (실패 대기 시간은 앱과 같은 unlock-attempts.json 기준)
+    async unlock(settings) {
+        const keyfile = this.vaultManager.systemRequiresKeyfile() ? readKeyfileDigest(this.options.keyfilePath || settings.keyfilePath) : null;
+
+        for (;;) {
+            const { allowed, retryAfterMs } = this.unlockThrottle.check();
+            if (!allowed) {
+                console.log(`Too many failed attempts. Try again in ${Math.ceil(retryAfterMs / 1000)}s.`);
+                await new Promise((resolve) => setTimeout(resolve, retryAfterMs));
+                continue;
+            }
+
+            const password = await this.terminal.secret("LocalKeys master password: ");
+            if (!password) continue;
+
+            try {
+                await this.vaultManager.unlockAll(password, null, { keyfile });
+                this.logger.setEncryptionKey(this.vaultManager.systemVault.key);
+                this.unlockThrottle.recordSuccess();
+                this.logFailedUnlockAttempts();
+                return;
+            } catch (error) {
+                const delay = this.unlockThrottle.recordFailure("password");
+                console.error(`Unlock failed: ${error.message}`);
+                if (delay > 0) console.error(`Next attempt allowed in ${Math.ceil(delay / 1000)}s.`);
+            }
+        }
+    }
+
+    logFailedUnlockAttempts() {
+        const { attempts, omitted } = this.unlockThrottle.takeAttempts();
+        if (omitted > 0) {
+            this.logger.logLock(`${omitted} earlier failed unlock attempts were not recorded in detail`);
+        }
+        for (const attempt of attempts) {
+            this.logger.logLock(`Failed unlock attempt (${attempt.method}) at ${attempt.at}`);
+        }
+    }
+
+    async serve(settings) {
+        this.httpServer = new HttpServer(this.vaultManager, this.logger, {
+            appVersion: getAppVersion(),
+            protection: settings.apiProtection,
+            headless: true,
+        });
+        this.httpServer.setApprovalCallback((request) => this.requestApproval(request));
+        await this.httpServer.start();
+
+        this.isUnlocked = true;
+        this.unlockedAt = Date.now();
+        this.httpServer.setUnlocked(true);
+        this.logger.logApp("Headless agent unlocked");
+
+        this.startAutoLock(settings);
+        this.startDiskSync(settings);
+
+        const mode = this.options.prompt ? "approvals are asked here" : "requests that need approval are denied";
+        console.log(`LocalKeys agent is unlocked (PID ${process.pid}, ${mode}). Press Ctrl+C to stop.`);
+    }
+
+    // 앱의 자동 잠금과 같은 시간 기준이지만, 시스템 유휴 시간 대신 마지막 CLI 요청 이후 시간으로 판단
+    startAutoLock(settings) {
+        if (!settings.autoLock?.enabled) return;
+        const timeoutMs = (settings.autoLock.timeout || 30) * 60 * 1000;
+        const timer = setInterval(() => {
+            const lastActivity = Math.max(this.unlockedAt, this.httpServer?.lastRequestAt || 0);
+            if (Date.now() - lastActivity >= timeoutMs) {
+                this.lock(`Locked after ${settings.autoLock.timeout} min without CLI requests.`);
+            }
+        }, AUTO_LOCK_CHECK_MS);
+        this.timers.push(timer);
+    }
+
+    // 다른 기기·앱에서 바뀐 금고 파일 반영 (설정의 동기화 간격)
+    startDiskSync(settings) {
+        const ms = settings.vaultDiskSyncIntervalSeconds === 60 ? 60000 : 5000;
+        const timer = setInterval(() => {
+            for (const [vaultId, vault] of this.vaultManager.vaults) {
+                if (!this.isUnlocked || vault.isLocked) continue;
+                vault
+                    .tickPeriodicDiskSync()
+                    .then(async (result) => {
+                        if (!result.keyChanged) return;
+                        // 시스템 금고 비밀번호가 바뀌었으면 잠그고 새 비밀번호를 물음, 외부 금고는 앱에서 다시 열어야 함
+                        if (vaultId === "system") {
+                            this.lock("The master password was changed elsewhere. Unlock again with the new password.");
+                        } else {
+                            await this.vaultManager.markVaultKeyChanged(vaultId);
+                            console.log(`Vault "${this.vaultManager.getVaultName(vaultId) || vaultId}" password changed. Open it in the app to continue.`);
+                        }
+                    })
+                    .catch(() => {});
+            }
+        }, ms);
+        this.timers.push(timer);
+    }
+
+    async lock(message) {
+        if (!this.isUnlocked) return;
+        this.isUnlocked = false;
+
+        for (const timer of this.timers) clearInterval(timer);
+        this.timers = [];
+        this.approvalGrants.clear();
+        this.approvalQueue.cancelPending("Vault locked");
+        this.promptAbort?.abort();
+        this.changeFeed.clear();
+
+        if (this.httpServer) {
+            try {
+                this.httpServer.setUnlocked(false);
+                await this.httpServer.stop();
+            } catch {}
+            this.httpServer = null;
+        }
+        await this.vaultManager.lockAllVaults().catch(() => {});
+        this.logger.clearEncryptionKey();
+
+        if (message) console.log(message);
+        const signal = this.lockedSignal;
+        this.lockedSignal = null;
+        signal?.();
+    }
+
+    // 종료 (Ctrl+C, SIGTERM): 금고를 잠그고 server-info.json 삭제
+    async shutdown() {
+        if (this.isUnlocked) this.logger.logApp("Headless agent stopped");
+        // 잠근 뒤 다시 비밀번호를 묻지 않도록 먼저 해제
+        this.lockedSignal = null;
+        await this.lock(null);
+        this.terminal.close();
+    }
+
+    // 앱의 requestApproval과 같은 순서: 기억된 승인 -> 승인 대기열(터미널 프롬프트)
+    async requestApproval(request) {
+        const { projectName, keys, action, client, allowRemember } = request;
+        if (allowRemember && this.approvalGrants.find(request)) {
+            this.logger.logAccess(`Access approved (${action}, remembered)`, projectName, keys.join(", "), client);
+            return { approved: true };
+        }
+
+        const result = await this.approvalQueue.request(request);
+        const labels = { merged: "same request", approveAll: "approve all pending", cancelled: result.reason === "Vault locked" ? "vault locked" : "request cancelled" };
+        if (labels[result.via]) {
+            this.logger.logAccess(`Access ${result.approved ? "approved" : "denied"} (${action}, ${labels[result.via]})`, projectName, keys.join(", "), client);
+        }
+        if (allowRemember && result.approved && result.remember && this.isUnlocked) {
+            try {
+                this.approvalGrants.add(request, result.remember);
+            } catch (error) {
+                console.error(`Failed to remember approval: ${error.message}`);
+            }
+        }
+        return result;
+    }
+
+    // 터미널 승인 프롬프트 (키 일부만 승인하는 기능은 앱에서만 지원)
+    async promptApproval(request, queue) {
+        const { projectName, keys, action, client, allowRemember, write } = request;
+        const keysString = keys.join(", ");
+
+        if (!this.options.prompt) {
+            this.logger.logAccess(`Access denied (${action}, agent approvals disabled)`, projectName, keysString, client);
+            return { approved: false, reason: "Approval prompts are disabled in the agent (use an access token or policy)" };
+        }
+
+        const lines = ["", `LocalKeys approval request (${action})`, `  Vault:   ${request.vaultName}`, `  Project: ${projectName}`, `  Keys:    ${keysString}`];
+        lines.push(`  Process: ${formatClient(client)}`);
+        if (write) {
+            lines.push(...describeWrite(write));
+        }
+
+        const choices = [["y", "yes"], ["n", "no"]];
+        if (allowRemember) {
+            for (const [key, choice] of Object.entries(REMEMBER_CHOICES)) {
+                if (choice.scope === "session" && !client?.sessionId) continue;
+                choices.push([key, `yes, remember ${choice.label}`]);
+            }
+        }
+        const sameProject = queue.getStatus().sameProject;
+        if (sameProject > 0) choices.push(["a", `yes, and ${sameProject} more pending for this project`]);
+        lines.push(choices.map(([key, label]) => `  [${key}] ${label}`).join("\n"));
+        console.log(lines.join("\n"));
+
+        const abort = new AbortController();
+        this.promptAbort = abort;
+        let answer;
+        try {
+            for (;;) {
+                answer = await this.terminal.question("Allow? ", abort.signal);
+                if (answer === null) return { approved: false, reason: "Vault locked" };
+                answer = answer.trim().toLowerCase() || "n";
+                if (choices.some(([key]) => key === answer)) break;
+            }
+        } finally {
+            if (this.promptAbort === abort) this.promptAbort = null;
+        }
+
+        if (answer === "n") {
+            this.logger.logAccess(`Access denied (${action})`, projectName, keysString, client);
+            return { approved: false, reason: "User denied" };
+        }
+        const scope = REMEMBER_CHOICES[answer]?.scope || null;
+        const all = answer === "a";
+        const details = [action, scope ? `remember ${scope}` : null, all ? "approve all pending" : null].filter(Boolean).join(", ");
+        this.logger.logAccess(`Access approved (${details})`, projectName, keysString, client);
+        return { approved: true, remember: scope, approveAll: all };
+    }
+}
+
+// 쓰기 승인 프롬프트의 변경 내용 (값은 마스킹된 값, operation이 없으면 값 저장)
+function describeWrite(write) {
+    switch (write.operation) {
+        case "delete":
+            return [`  Change:  delete (value: ${write.oldValue})`];
+        case "rename":
+            return [`  Change:  rename ${write.from} -> ${write.to}`];
+        case "createProject":
+            return ["  Change:  create project"];
+        case "deleteProject":
+            return [`  Change:  delete project and its ${write.secretCount} secret(s)`];
+    }
+
+    const lines = [];
+    if (write.operation === "restore") lines.push(`  Change:  restore version ${write.versionIndex + 1}`);
+    // 복원할 버전이 없으면 값 없이 표시 (복원할 때 오류)
+    if (write.newValue === undefined) return lines;
+    lines.push(write.isNew ? `  New value: ${write.newValue}` : `  Value:   ${write.unchanged ? "unchanged" : `${write.oldValue} -> ${write.newValue}`}`);
+    if (write.oldExpiresAt !== write.newExpiresAt) {
+        lines.push(`  Expiry:  ${write.oldExpiresAt || "none"} -> ${write.newExpiresAt || "none"}`);
+    }
+    return lines;
+}
+
+// localkeys agent start
+// options: { keyfilePath, prompt }
+async function startAgent(options, serverInfo) {
+    if (!process.stdin.isTTY) {
+        throw new Error("The agent needs a terminal to enter the master password.");
+    }
+    if (serverInfo) {
+        const owner = serverInfo.headless ? "A LocalKeys agent" : "The LocalKeys app";
+        throw new Error(`${owner} is already running (PID ${serverInfo.pid}).`);
+    }
+    if (!fs.existsSync(LOCALKEYS_DIR)) {
+        throw new Error("LocalKeys is not set up. Please run the GUI application first.");
+    }
+    // 잠긴 채 실행 중인 앱은 server-info.json이 없으므로 실행 표시로 확인하고, 종료할 때까지 잡아 둠
+    const lock = acquireInstanceLock({ headless: true });
+    if (!lock.acquired) {
+        const owner = lock.owner.headless ? "A LocalKeys agent" : "The LocalKeys app";
+        throw new Error(`${owner} is already running (PID ${lock.owner.pid}).`);
+    }
+    process.on("exit", releaseInstanceLock);
+
+    const agent = new Agent(options);
+    let stopping = false;
+    const stop = () => {
+        if (stopping) return;
+        stopping = true;
+        agent.shutdown().finally(() => process.exit(0));
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+    agent.terminal.rl.on("SIGINT", stop);
+    agent.terminal.rl.on("close", stop);
+
+    await agent.run();
+}
+
+module.exports = {
+    startAgent,
+};
@@ -0,0 +1,391 @@
+// LocalKeys Node.js 클라이언트: 실행 중인 앱(또는 헤드리스 에이전트)의 로컬 API 호출
+// 빌드 스크립트·테스트 하네스에서 `localkeys get` 출력을 파싱하지 않고 사용 (require("localkeys/client"))
+// CLI(cli/localkeys.js)도 같은 모듈로 요청을 보냄
+//
+//   const { LocalKeysClient } = require("localkeys/client");
+//   const client = new LocalKeysClient({ vault: "Work" });
+//   const { value } = await client.getSecret("myapp", "API_KEY");
+//
+// - 실패는 LocalKeysError로 던짐 (code: 앱의 오류 코드 또는 클라이언트 오류 코드, CLIENT_ERROR_CODES 참고)
+// - 요청이 앱에 닿기 전에 실패하면(앱이 아직 열리지 않음, 재시작 중) server-info.json을 다시 읽어 재시도
+// - 처음 요청 전에 status로 프로토콜을 확인 (앱이 재시작되면 다시 확인)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// 로컬 API 프로토콜 (앱의 src/modules/api-protocol.js와 맞춤)
+// PROTOCOL_VERSION: 이 클라이언트가 사용하는 프로토콜, MIN_APP_PROTOCOL_VERSION: 필요한 앱의 최소 프로토콜
+const PROTOCOL_VERSION = 2;
+const MIN_APP_PROTOCOL_VERSION = 2;
+
+const DEFAULT_SERVER_INFO_PATH = path.join(os.homedir(), ".localkeys", "server-info.json");
+// 승인 다이얼로그가 대기열에서 차례를 기다릴 수 있으므로 넉넉하게 설정
+const DEFAULT_TIMEOUT_MS = 300000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+// 서버에 닿기 전에 실패한 연결 오류 (요청이 처리되지 않았으므로 다른 전송 경로로 재시도해도 안전)
+const CONNECT_ERROR_CODES = new Set(["ENOENT", "ECONNREFUSED", "EACCES", "ENOTSOCK", "EPERM"]);
+
+// 앱 응답의 code 외에 클라이언트에서 붙이는 code
+const CLIENT_ERROR_CODES = {
+    NOT_RUNNING: "not_running", // 앱·에이전트가 실행 중이 아니거나 잠김 (server-info.json 없음)
+    CONNECTION: "connection", // 연결 실패·끊김
+    TIMEOUT: "timeout", // 응답 시간 초과
+    INCOMPATIBLE: "incompatible", // 앱과 클라이언트의 프로토콜·기능이 맞지 않음
+    PROTOCOL: "protocol", // 응답 형식 오류
+};
+
+class LocalKeysError extends Error {
+    // details: { statusCode, detail, retryAfter }
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = "LocalKeysError";
+        this.code = code;
+        this.statusCode = details.statusCode ?? null;
+        // 모듈 고유 오류 코드 (예: VAULT_EXTERNAL_CHANGE)
+        this.detail = details.detail ?? null;
+        // 429 응답의 Retry-After (초)
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+// 서버 정보 읽기 (파일이 없거나 프로세스가 종료되었으면 null)
+function getServerInfo(serverInfoPath = DEFAULT_SERVER_INFO_PATH) {
+    try {
+        if (!fs.existsSync(serverInfoPath)) {
+            return null;
+        }
+
+        const info = JSON.parse(fs.readFileSync(serverInfoPath, "utf8"));
+
+        // 프로세스가 실행 중인지 확인
+        try {
+            process.kill(info.pid, 0); // 시그널 0으로 프로세스 존재 확인
+            return info;
+        } catch (error) {
+            // 프로세스가 존재하지 않으면 서버 정보 파일 삭제
+            try {
+                fs.unlinkSync(serverInfoPath);
+            } catch {}
+            return null;
+        }
+    } catch (error) {
+        return null;
+    }
+}
+
+class LocalKeysClient {
+    // options.vault: 사용할 금고 이름 (기본: System, 접근 토큰이면 토큰의 금고)
+    // options.token: 접근 토큰 (기본: LOCALKEYS_TOKEN 환경 변수, 없으면 앱 인증 토큰)
+    // options.timeout: 요청 시간 제한(ms), 승인을 기다리는 시간 포함
+    // options.retries / options.retryDelay: 요청이 앱에 닿기 전에 실패했을 때 재시도 횟수·간격(ms)
+    // options.serverInfoPath: server-info.json 경로 (테스트용)
+    constructor(options = {}) {
+        this.options = { ...options };
+        this.vault = options.vault || null;
+        this.token = options.token !== undefined ? options.token : process.env.LOCALKEYS_TOKEN || null;
+        this.timeout = Number.isFinite(options.timeout) ? options.timeout : DEFAULT_TIMEOUT_MS;
+        this.retries = Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : DEFAULT_RETRIES;
+        this.retryDelay = Number.isFinite(options.retryDelay) ? options.retryDelay : DEFAULT_RETRY_DELAY_MS;
+        this.serverInfoPath = options.serverInfoPath || DEFAULT_SERVER_INFO_PATH;
+        // 프로토콜을 확인한 앱 프로세스 (pid -> status)
+        this.checkedStatus = null;
+        this.checkedPid = null;
+    }
+
+    // 같은 설정으로 다른 금고를 사용하는 클라이언트
+    withVault(vault) {
+        return new LocalKeysClient({ ...this.options, vault });
+    }
+
+    status() {
+        return this.call("status");
+    }
+
+    listVaults() {
+        return this.call("listVaults");
+    }
+
+    listProjects() {
+        return this.call("listProjects");
+    }
+
+    // 승인 필요 (다이얼로그에서 일부 키만 승인하면 승인한 키만 반환)
+    listSecretKeys(projectName) {
+        return this.call("listSecretKeys", { projectName });
+    }
+
+    getSecret(projectName, key) {
+        return this.call("getSecret", { projectName, key });
+    }
+
+    // 프로젝트의 모든 시크릿 (일부 키만 승인하면 승인한 키만 포함)
+    getAllSecrets(projectName) {
+        return this.call("getAllSecrets", { projectName });
+    }
+
+    // 요청한 키 중 존재하고 승인된 키만 포함
+    getBatchSecrets(projectName, keys) {
+        return this.call("getBatchSecrets", { projectName, keys });
+    }
+
+    // options.expiresAt: 만료일 (YYYY-MM-DD, 없으면 만료 없음)
+    async setSecret(projectName, key, value, options = {}) {
+        const data = { projectName, key, value };
+        if (options.expiresAt) data.expiresAt = options.expiresAt;
+        await this.call("setSecret", data);
+    }
+
+    // 아래 쓰기 요청은 모두 쓰기 승인 필요 (기억된 승인을 사용하지 않고 항상 물음)
+    async createProject(projectName) {
+        await this.call("createProject", { projectName });
+    }
+
+    async deleteProject(projectName) {
+        await this.call("deleteProject", { projectName });
+    }
+
+    async renameSecret(projectName, fromKey, toKey) {
+        await this.call("renameSecret", { projectName, fromKey, toKey });
+    }
+
+    async deleteSecret(projectName, key) {
+        await this.call("deleteSecret", { projectName, key });
+    }
+
+    // 읽기 승인 필요 -> { current, history, totalVersions } (history[0]: 바로 이전 버전)
+    getSecretHistory(projectName, key) {
+        return this.call("getSecretHistory", { projectName, key });
+    }
+
+    // versionIndex: getSecretHistory의 history 순서
+    async restoreSecretVersion(projectName, key, versionIndex) {
+        await this.call("restoreSecretVersion", { projectName, key, versionIndex });
+    }
+
+    // 액션 호출 -> 성공하면 data, 실패하면 LocalKeysError
+    async call(action, data = {}) {
+        const response = await this.request(action, data);
+        if (!response || typeof response !== "object") {
+            throw new LocalKeysError("Invalid response from LocalKeys", CLIENT_ERROR_CODES.PROTOCOL);
+        }
+        if (!response.success) {
+            throw new LocalKeysError(response.error || "Request failed", response.code || "internal", { detail: response.detail });
+        }
+        return response.data;
+    }
+
+    // 액션 요청 -> 앱 응답 그대로 ({ success, data } 또는 { success: false, error, code })
+    // 앱에 닿지 못했거나 HTTP 오류면 LocalKeysError
+    async request(action, data = {}) {
+        if (action !== "status") {
+            await this.checkCompatibility({ action });
+        }
+        return this._post(action, this.vault ? { ...data, vaultName: this.vault } : data);
+    }
+
+    // 앱이 action·feature를 지원하는지 확인 (앱 프로세스마다 한 번)
+    async checkCompatibility({ action = null, feature = null } = {}) {
+        const serverInfo = await this._withRetry(() => this._requireServerInfo());
+        if (this.checkedPid !== serverInfo.pid) {
+            const response = await this._post("status", {});
+            const status = response && response.success ? response.data : null;
+            // 프로토콜 정보가 없는 status는 버전 1 앱
+            if (!status || typeof status.protocolVersion !== "number" || status.protocolVersion < MIN_APP_PROTOCOL_VERSION) {
+                throw new LocalKeysError("The LocalKeys app is too old for this client. Please update the app.", CLIENT_ERROR_CODES.INCOMPATIBLE);
+            }
+            if (typeof status.minProtocolVersion === "number" && status.minProtocolVersion > PROTOCOL_VERSION) {
+                throw new LocalKeysError(
+                    `This client is too old for LocalKeys ${status.appVersion}. Please update the CLI.`,
+                    CLIENT_ERROR_CODES.INCOMPATIBLE,
+                );
+            }
+            this.checkedStatus = status;
+            this.checkedPid = serverInfo.pid;
+        }
+
+        const status = this.checkedStatus;
+        if (action && Array.isArray(status.actions) && !status.actions.includes(action)) {
+            throw new LocalKeysError(`LocalKeys ${status.appVersion} does not support "${action}". Please update the app.`, CLIENT_ERROR_CODES.INCOMPATIBLE);
+        }
+        if (feature && !(Array.isArray(status.features) && status.features.includes(feature))) {
+            throw new LocalKeysError(`LocalKeys ${status.appVersion} does not support "${feature}". Please update the app.`, CLIENT_ERROR_CODES.INCOMPATIBLE);
+        }
+        return status;
+    }
+
+    // GET /events 연결 -> 응답 스트림 (Server-Sent Events, 형식은 CLI watch 참고)
+    async openEventStream() {
+        return this._withRetry(() => {
+            const serverInfo = this._requireServerInfo();
+            return this._send(serverInfo, (target) => openStream(target, this._authToken(serverInfo), this.timeout));
+        });
+    }
+
+    async _post(action, data) {
+        const body = JSON.stringify({
+            action,
+            data,
+            protocolVersion: PROTOCOL_VERSION,
+            timestamp: new Date().toISOString(),
+        });
+        return this._withRetry(() => {
+            const serverInfo = this._requireServerInfo();
+            return this._send(serverInfo, (target) => postRequest(target, this._authToken(serverInfo), body, this.timeout));
+        });
+    }
+
+    // Linux/macOS: 앱이 연 유닉스 소켓(socketPath)을 우선 사용하고, 연결할 수 없으면 localhost TCP로 재시도
+    async _send(serverInfo, send) {
+        if (serverInfo.socketPath) {
+            try {
+                return await send({ socketPath: serverInfo.socketPath });
+            } catch (error) {
+                if (!error.connectFailed) throw error;
+            }
+        }
+        return send({ hostname: serverInfo.host, port: serverInfo.port });
+    }
+
+    // 요청이 앱에 닿기 전에 실패한 경우만 재시도 (쓰기 요청이 두 번 처리되지 않도록)
+    async _withRetry(attempt) {
+        for (let i = 0; ; i++) {
+            try {
+                return await attempt();
+            } catch (error) {
+                const retryable = error.code === CLIENT_ERROR_CODES.NOT_RUNNING || error.connectFailed;
+                if (!retryable || i >= this.retries) throw error;
+                await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
+            }
+        }
+    }
+
+    _requireServerInfo() {
+        const serverInfo = getServerInfo(this.serverInfoPath);
+        if (!serverInfo) {
+            throw new LocalKeysError("LocalKeys app is not running.", CLIENT_ERROR_CODES.NOT_RUNNING);
+        }
+        return serverInfo;
+    }
+
+    // 접근 토큰이 지정되면 앱 인증 토큰 대신 사용 (범위 안의 요청은 승인 없이 처리됨)
+    _authToken(serverInfo) {
+        return this.token || serverInfo.authToken;
+    }
+}
+
+// target: { socketPath } 또는 { hostname, port }
+function postRequest(target, authToken, body, timeout) {
+    return new Promise((resolve, reject) => {
+        const options = {
+            ...target,
+            path: "/",
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(body),
+                Authorization: `Bearer ${authToken}`,
+            },
+        };
+
+        const req = http.request(options, (res) => {
+            readJson(res)
+                .then((response) => {
+                    if (res.statusCode === 200) {
+                        resolve(response);
+                    } else {
+                        reject(httpError(res, response));
+                    }
+                })
+                .catch(reject);
+        });
+
+        req.on("error", (error) => reject(connectionError(error)));
+        req.setTimeout(timeout, () => {
+            req.destroy();
+            reject(new LocalKeysError("Request timed out", CLIENT_ERROR_CODES.TIMEOUT));
+        });
+
+        req.write(body);
+        req.end();
+    });
+}
+
+function openStream(target, authToken, timeout) {
+    return new Promise((resolve, reject) => {
+        const options = {
+            ...target,
+            path: "/events",
+            method: "GET",
+            headers: {
+                Accept: "text/event-stream",
+                Authorization: `Bearer ${authToken}`,
+            },
+        };
+
+        const req = http.request(options, (res) => {
+            if (res.statusCode === 200) {
+                resolve(res);
+                return;
+            }
+            readJson(res)
+                .then((response) => reject(httpError(res, response)))
+                .catch(reject);
+        });
+
+        req.on("error", (error) => reject(connectionError(error)));
+        // 연결될 때까지만 시간 제한 (연결 후에는 계속 열어 둠)
+        req.setTimeout(timeout, () => {
+            req.destroy();
+            reject(new LocalKeysError("Request timed out", CLIENT_ERROR_CODES.TIMEOUT));
+        });
+        req.on("response", () => req.setTimeout(0));
+
+        req.end();
+    });
+}
+
+function readJson(res) {
+    return new Promise((resolve, reject) => {
+        let responseData = "";
+        res.on("data", (chunk) => {
+            responseData += chunk;
+        });
+        res.on("end", () => {
+            try {
+                resolve(JSON.parse(responseData));
+            } catch {
+                reject(new LocalKeysError(`Invalid response from LocalKeys (HTTP ${res.statusCode})`, CLIENT_ERROR_CODES.PROTOCOL, { statusCode: res.statusCode }));
+            }
+        });
+        res.on("error", (error) => reject(connectionError(error)));
+    });
+}
+
+// HTTP 오류 응답 (401, 429 등) -> 앱이 보낸 code 유지
+function httpError(res, response) {
+    const retryAfter = Number(res.headers["retry-after"]);
+    return new LocalKeysError(response?.error || `HTTP ${res.statusCode}`, response?.code || "internal", {
+        statusCode: res.statusCode,
+        detail: response?.detail,
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter : null,
+    });
+}
+
+// connectFailed: 서버에 닿기 전에 실패 (다른 전송 경로로 재시도 가능)
+function connectionError(error) {
+    const err = new LocalKeysError(`Connection failed: ${error.message}`, CLIENT_ERROR_CODES.CONNECTION);
+    err.connectFailed = CONNECT_ERROR_CODES.has(error.code);
+    err.cause = error;
+    return err;
+}
+
+module.exports = {
+    LocalKeysClient,
+    LocalKeysError,
+    CLIENT_ERROR_CODES,
+    PROTOCOL_VERSION,
+    getServerInfo,
+};
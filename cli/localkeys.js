@@ -4,7 +4,9 @@ const { spawn } = require("child_process");
 const path = require("path");
 const fs = require("fs");
 const os = require("os");
-const http = require("http");
+const { LocalKeysClient, CLIENT_ERROR_CODES, getServerInfo: readServerInfo } = require("./client");
+const { findProjectConfig, appliesTo, envNameFor } = require("./project-config");
+const { readInstanceLock } = require("../src/modules/instance-lock");
 
 // CLI 인자 파싱
 const rawArgs = process.argv.slice(2);
@@ -22,9 +24,10 @@ const args = rawArgs.filter((arg) => {
 
 const command = args[0];
 
-// vaultName이 지정된 경우 data에 추가하는 헬퍼
-function withVault(data) {
-    return vaultName ? { ...data, vaultName } : data;
+// vaultName이 지정된 경우 data에 추가하는 헬퍼 (defaultVault: 프로젝트 설정 파일의 금고)
+function withVault(data, defaultVault = null) {
+    const name = vaultName || defaultVault;
+    return name ? { ...data, vaultName: name } : data;
 }
 
 // LocalKeys 데이터 디렉토리
@@ -42,48 +45,62 @@ Usage:
 Commands:
   run --project=<name> <command>    Run command with environment variables
   get <project> <key>               Get a secret value
+                                    (run and get take the project from .localkeys.json when omitted)
   set <project> <key> <value>       Set a secret value
+      [--expires=<YYYY-MM-DD>]      Expiry date (default: no expiry)
   list                              List all projects
+  keys <project>                    List the keys in a project (values are not shown)
+  project create <name>             Create a project
+  project delete <name>             Delete a project and all its secrets
+  rm <project> <key>                Delete a secret
+  mv <project> <key> <new-key>      Rename a secret
+  history <project> <key>           Show previous values of a secret
+  restore <project> <key> <version> Restore a previous value (version number from history)
   vaults                            List all vaults
+  watch [--project=<name>] [--json] Print project/secret changes and lock events as they happen
+                                    (names only, never values; --json prints one JSON event per line)
+  agent start [--keyfile=<path>]    Run without the GUI: unlock in this terminal and serve CLI requests
+      [--no-prompt]                 Deny requests that need approval instead of asking here
+                                    (only access tokens and access policies can allow them)
+  agent stop                        Stop a running agent
+  agent status                      Show whether the app or an agent is serving requests
   help                              Show this help message
 
 Options:
   --vault=<name>                    Specify vault (default: System)
 
+Project config (.localkeys.json, found in the current or a parent directory):
+  { "project": "myapp", "vault": "Work", "keys": ["API_KEY"], "env": { "API_KEY": "MYAPP_API_KEY" } }
+                                    keys: only request these keys, env: rename variables for run
+
+Environment:
+  LOCALKEYS_TOKEN                   Access token created in the app (Settings > Access Tokens)
+                                    Requests within its scope are allowed without approval
+
 Examples:
   localkeys run --project=myapp -- npm start
+  localkeys run -- npm start        (inside a directory with .localkeys.json)
   localkeys get myapp API_KEY
+  localkeys get API_KEY             (inside a directory with .localkeys.json)
   localkeys set myapp API_KEY "sk-1234567890"
+  localkeys set myapp API_KEY "sk-1234567890" --expires=2026-12-31
   localkeys list
+  localkeys keys myapp
+  localkeys project create myapp
+  localkeys mv myapp API_KEY STRIPE_API_KEY
+  localkeys history myapp API_KEY
+  localkeys restore myapp API_KEY 1
   localkeys --vault="Work" list
   localkeys --vault="Work" get api API_KEY
   localkeys vaults
+  localkeys watch --project=myapp --json
+  localkeys agent start
 `);
 }
 
 // 서버 정보 읽기
 function getServerInfo() {
-    try {
-        if (!fs.existsSync(SERVER_INFO_PATH)) {
-            return null;
-        }
-
-        const info = JSON.parse(fs.readFileSync(SERVER_INFO_PATH, "utf8"));
-
-        // 프로세스가 실행 중인지 확인
-        try {
-            process.kill(info.pid, 0); // 시그널 0으로 프로세스 존재 확인
-            return info;
-        } catch (error) {
-            // 프로세스가 존재하지 않으면 서버 정보 파일 삭제
-            try {
-                fs.unlinkSync(SERVER_INFO_PATH);
-            } catch {}
-            return null;
-        }
-    } catch (error) {
-        return null;
-    }
+    return readServerInfo(SERVER_INFO_PATH);
 }
 
 // Electron 앱이 실행 중인지 확인
@@ -94,79 +111,129 @@ function isElectronAppRunning() {
     });
 }
 
-// HTTP 요청 전송
-async function sendRequest(action, data = {}) {
-    const serverInfo = getServerInfo();
-
-    if (!serverInfo) {
-        throw new Error("Error: LocalKeys app is not running.");
-    }
+// 로컬 API 클라이언트 (cli/client.js)
+// 금고는 withVault로 요청마다 지정하고, 앱이 실행 중인지는 main에서 먼저 확인하므로 재시도하지 않음
+const client = new LocalKeysClient({ serverInfoPath: SERVER_INFO_PATH, retries: 0 });
 
-    return new Promise((resolve, reject) => {
-        const requestData = JSON.stringify({
-            action,
-            data,
-            timestamp: new Date().toISOString(),
-        });
+// 액션 요청 (실패 응답의 code: locked | denied | not_found | invalid | unauthorized | rate_limited | internal)
+// 처음 요청 전에 앱과 프로토콜이 맞는지 확인
+async function sendRequest(action, data = {}) {
+    return client.request(action, data);
+}
 
-        const options = {
-            hostname: serverInfo.host,
-            port: serverInfo.port,
-            path: "/",
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Content-Length": Buffer.byteLength(requestData),
-                Authorization: `Bearer ${serverInfo.authToken}`,
-            },
-        };
-
-        const req = http.request(options, (res) => {
-            let responseData = "";
-
-            res.on("data", (chunk) => {
-                responseData += chunk;
-            });
-
-            res.on("end", () => {
+// Server-Sent Events 읽기 (연결이 끝나면 resolve)
+function readEvents(res, onEvent) {
+    return new Promise((resolve) => {
+        let buffer = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf("\n\n")) !== -1) {
+                const block = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                const data = block
+                    .split("\n")
+                    .filter((line) => line.startsWith("data: "))
+                    .map((line) => line.slice(6))
+                    .join("\n");
+                if (!data) continue;
                 try {
-                    const response = JSON.parse(responseData);
-
-                    if (res.statusCode === 200) {
-                        resolve(response);
-                    } else {
-                        reject(new Error(response.error || `Error: ERROR-${res.statusCode}`));
-                    }
-                } catch (error) {
-                    reject(new Error(`Error: ERROR-${error.message}`));
-                }
-            });
+                    onEvent(JSON.parse(data));
+                } catch {}
+            }
         });
+        res.on("end", resolve);
+        res.on("close", resolve);
+        res.on("error", resolve);
+    });
+}
 
-        req.on("error", (error) => {
-            reject(new Error(`Error: ERROR-${error.message}`));
-        });
+// watch 명령어 처리
+// 앱이 잠기거나 종료되면 다시 열릴 때까지 기다렸다가 재연결
+const WATCH_RETRY_MS = 2000;
+
+async function handleWatch() {
+    const projectArg = args.find((arg) => arg.startsWith("--project="));
+    const projectFilter = projectArg ? projectArg.slice("--project=".length) : null;
+    const jsonOutput = args.includes("--json");
+
+    let connectedOnce = false;
+    let waitingNoticeShown = false;
+    const onEvent = (event) => {
+        // 금고 내용 이벤트만 --vault / --project로 거름 (잠금 이벤트는 항상 표시)
+        if (event.vault && vaultName && event.vault !== vaultName) return;
+        if (event.vault && projectFilter && event.project !== projectFilter) return;
+
+        if (jsonOutput) {
+            console.log(JSON.stringify(event));
+        } else if (event.type === "ready") {
+            console.log(connectedOnce ? "Reconnected to LocalKeys." : "Watching for changes (Ctrl+C to stop)...");
+        } else {
+            const target = [event.vault, event.project, event.key].filter(Boolean).join(" / ");
+            console.log(`${event.time}  ${event.type}${target ? `  ${target}` : ""}`);
+        }
+        if (event.type === "ready") {
+            connectedOnce = true;
+            waitingNoticeShown = false;
+        }
+    };
 
-        req.setTimeout(30000, () => {
-            req.destroy();
-            reject(new Error("Error: Request timed out"));
-        });
+    for (;;) {
+        let res = null;
+        try {
+            if (getServerInfo()) {
+                await client.checkCompatibility({ feature: "events" });
+                res = await client.openEventStream();
+            }
+        } catch (error) {
+            // 앱이 닫히는 중이거나 아직 열리지 않음 -> 재시도, 그 밖의 오류(인증, 버전)는 종료
+            if (error.code !== CLIENT_ERROR_CODES.NOT_RUNNING && error.code !== CLIENT_ERROR_CODES.CONNECTION) {
+                console.error(`Error: ${error.message}`);
+                process.exit(1);
+            }
+        }
 
-        req.write(requestData);
-        req.end();
-    });
+        if (res) {
+            await readEvents(res, onEvent);
+        }
+        if (!jsonOutput && !waitingNoticeShown) {
+            console.log("Waiting for LocalKeys to be unlocked...");
+            waitingNoticeShown = true;
+        }
+        await new Promise((resolve) => setTimeout(resolve, WATCH_RETRY_MS));
+    }
+}
+
+// 프로젝트 설정 파일 (.localkeys.json) 찾기 -> projectName에 적용할 { path, config } 또는 null
+// projectName이 없으면 설정의 project 사용
+function resolveProjectBinding(projectName = null) {
+    let found;
+    try {
+        found = findProjectConfig();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    if (!found) return null;
+    if (!projectName && !found.config.project) return null;
+    return appliesTo(found.config, projectName || found.config.project) ? found : null;
 }
 
 // run 명령어 처리
+// --project가 없으면 프로젝트 설정 파일의 project 사용
 async function handleRun() {
     const projectIndex = args.findIndex((arg) => arg.startsWith("--project="));
-    if (projectIndex === -1) {
-        console.error("Error: --project flag is required");
+    const binding = resolveProjectBinding(projectIndex === -1 ? null : args[projectIndex].split("=")[1]);
+    const config = binding ? binding.config : {};
+
+    const projectName = projectIndex === -1 ? config.project : args[projectIndex].split("=")[1];
+    if (!projectName) {
+        console.error("Error: --project flag is required (or add a .localkeys.json with a \"project\" field)");
         process.exit(1);
     }
 
-    const projectName = args[projectIndex].split("=")[1];
-    let commandToRun = args.slice(projectIndex + 1);
+    let commandToRun = args.slice(projectIndex === -1 ? 1 : projectIndex + 1);
 
     // -- 구분자 제거
     const separatorIndex = commandToRun.indexOf("--");
@@ -180,10 +247,17 @@ async function handleRun() {
     }
 
     try {
-        const vaultLabel = vaultName ? ` (vault: ${vaultName})` : "";
+        if (binding) {
+            console.log(`Using ${binding.path}`);
+        }
+        const vault = vaultName || config.vault;
+        const vaultLabel = vault ? ` (vault: ${vault})` : "";
         console.log(`Requesting approval for secrets from project "${projectName}"${vaultLabel}...`);
 
-        const response = await sendRequest("getAllSecrets", withVault({ projectName }));
+        // 설정의 keys가 있으면 그 키만 요청
+        const response = config.keys
+            ? await sendRequest("getBatchSecrets", withVault({ projectName, keys: config.keys }, config.vault))
+            : await sendRequest("getAllSecrets", withVault({ projectName }, config.vault));
 
         if (!response.success) {
             console.error(`Error: ${response.error}`);
@@ -199,13 +273,14 @@ async function handleRun() {
             console.log(`${approvedCount} secret(s) approved.`);
         }
 
-        // 환경변수 설정하여 명령 실행
+        // 환경변수 설정하여 명령 실행 (설정의 env로 이름 변경)
         const env = { ...process.env };
         Object.entries(secrets).forEach(([key, secret]) => {
+            const name = envNameFor(config.env, key);
             if (secret && typeof secret === "object" && Object.prototype.hasOwnProperty.call(secret, "value")) {
-                env[key] = String(secret.value ?? "");
+                env[name] = String(secret.value ?? "");
             } else {
-                env[key] = String(secret ?? "");
+                env[name] = String(secret ?? "");
             }
         });
 
@@ -234,16 +309,24 @@ async function handleRun() {
 }
 
 // get 명령어 처리
+// 키만 지정하면 프로젝트 설정 파일의 project 사용 (출력을 그대로 쓸 수 있도록 설정 파일 안내는 stderr로)
 async function handleGet() {
-    if (args.length < 3) {
-        console.error("Usage: localkeys get <project> <key>");
+    const positional = args.slice(1);
+    const binding = resolveProjectBinding(positional.length >= 2 ? positional[0] : null);
+
+    if (positional.length === 0 || (positional.length === 1 && !binding)) {
+        console.error("Usage: localkeys get <project> <key> (or localkeys get <key> inside a directory with .localkeys.json)");
         process.exit(1);
     }
 
-    const [projectName, key] = args.slice(1);
+    const [projectName, key] = positional.length === 1 ? [binding.config.project, positional[0]] : positional;
+    const config = binding ? binding.config : {};
 
     try {
-        const response = await sendRequest("getSecret", withVault({ projectName, key }));
+        if (binding) {
+            console.error(`Using ${binding.path}`);
+        }
+        const response = await sendRequest("getSecret", withVault({ projectName, key }, config.vault));
 
         if (response.success) {
             console.log(response.data);
@@ -259,15 +342,26 @@ async function handleGet() {
 
 // set 명령어 처리
 async function handleSet() {
-    if (args.length < 4) {
-        console.error("Usage: localkeys set <project> <key> <value>");
+    // --expires 옵션 추출 (나머지는 위치 인자)
+    let expiresAt = null;
+    const positional = args.slice(1).filter((arg) => {
+        const match = arg.match(/^--expires=(.*)$/);
+        if (match) {
+            expiresAt = match[1] || null;
+            return false;
+        }
+        return true;
+    });
+
+    if (positional.length < 3) {
+        console.error("Usage: localkeys set <project> <key> <value> [--expires=<YYYY-MM-DD>]");
         process.exit(1);
     }
 
-    const [projectName, key, value] = args.slice(1);
+    const [projectName, key, value] = positional;
 
     try {
-        const response = await sendRequest("setSecret", withVault({ projectName, key, value }));
+        const response = await sendRequest("setSecret", withVault({ projectName, key, value, expiresAt }));
 
         if (response.success) {
             console.log(`Secret "${key}" set successfully in project "${projectName}"`);
@@ -293,8 +387,8 @@ async function handleVaults() {
             } else {
                 console.log("Vaults:");
                 vaults.forEach((vault) => {
-                    const offlineMarker = vault.status === "offline" ? " (offline)" : "";
-                    console.log(`  ${vault.name}${offlineMarker} — ${vault.path}`);
+                    const statusMarker = vault.status === "offline" ? " (offline)" : vault.status === "needs_password" ? " (password changed - unlock in app)" : "";
+                    console.log(`  ${vault.name}${statusMarker} — ${vault.path}`);
                 });
             }
         } else {
@@ -333,6 +427,170 @@ async function handleList() {
     }
 }
 
+// 액션을 요청하고 실패하면 오류를 출력하고 종료 -> 성공 응답의 data
+async function requestOrExit(action, data) {
+    try {
+        const response = await sendRequest(action, data);
+        if (!response.success) {
+            console.error(`Error: ${response.error}`);
+            process.exit(1);
+        }
+        return response.data;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// project 명령어 처리 (쓰기 승인 필요)
+async function handleProject() {
+    const [subcommand, projectName] = args.slice(1);
+    if (!["create", "delete"].includes(subcommand) || !projectName) {
+        console.error("Usage: localkeys project create|delete <name>");
+        process.exit(1);
+    }
+
+    if (subcommand === "create") {
+        await requestOrExit("createProject", withVault({ projectName }));
+        console.log(`Project "${projectName}" created`);
+    } else {
+        await requestOrExit("deleteProject", withVault({ projectName }));
+        console.log(`Project "${projectName}" deleted`);
+    }
+}
+
+// keys 명령어 처리 (읽기 승인 필요, 값은 출력하지 않음)
+async function handleKeys() {
+    const projectName = args[1];
+    if (!projectName) {
+        console.error("Usage: localkeys keys <project>");
+        process.exit(1);
+    }
+
+    const keys = await requestOrExit("listSecretKeys", withVault({ projectName }));
+    if (keys.length === 0) {
+        console.log(`No secrets found in project "${projectName}"`);
+    } else {
+        keys.forEach((key) => console.log(key));
+    }
+}
+
+// rm 명령어 처리 (쓰기 승인 필요)
+async function handleRemove() {
+    const [projectName, key] = args.slice(1);
+    if (!projectName || !key) {
+        console.error("Usage: localkeys rm <project> <key>");
+        process.exit(1);
+    }
+
+    await requestOrExit("deleteSecret", withVault({ projectName, key }));
+    console.log(`Secret "${key}" deleted from project "${projectName}"`);
+}
+
+// mv 명령어 처리 (쓰기 승인 필요)
+async function handleMove() {
+    const [projectName, fromKey, toKey] = args.slice(1);
+    if (!projectName || !fromKey || !toKey) {
+        console.error("Usage: localkeys mv <project> <key> <new-key>");
+        process.exit(1);
+    }
+
+    await requestOrExit("renameSecret", withVault({ projectName, fromKey, toKey }));
+    console.log(`Secret "${fromKey}" renamed to "${toKey}" in project "${projectName}"`);
+}
+
+// history 명령어 처리 (읽기 승인 필요, 이전 값도 출력)
+// 버전 번호: 1이 바로 이전 버전 (restore에 사용)
+async function handleHistory() {
+    const [projectName, key] = args.slice(1);
+    if (!projectName || !key) {
+        console.error("Usage: localkeys history <project> <key>");
+        process.exit(1);
+    }
+
+    const { current, history } = await requestOrExit("getSecretHistory", withVault({ projectName, key }));
+    const formatVersion = (label, version) => {
+        const expiry = version.expiresAt ? `  (expires ${version.expiresAt})` : "";
+        return `  ${label.padEnd(8)} ${version.changedAt || "-"}  ${version.value}${expiry}`;
+    };
+
+    console.log(`History of "${key}" in project "${projectName}":`);
+    console.log(formatVersion("current", current));
+    history.forEach((version, index) => console.log(formatVersion(String(index + 1), version)));
+    if (history.length > 0) {
+        console.log(`\nRestore a version with: localkeys restore ${projectName} ${key} <version>`);
+    }
+}
+
+// restore 명령어 처리 (쓰기 승인 필요, 현재 값은 히스토리에 남음)
+async function handleRestore() {
+    const [projectName, key, versionArg] = args.slice(1);
+    const version = Number(versionArg);
+    if (!projectName || !key || !Number.isInteger(version) || version < 1) {
+        console.error("Usage: localkeys restore <project> <key> <version> (version numbers are shown by localkeys history)");
+        process.exit(1);
+    }
+
+    try {
+        const response = await sendRequest("restoreSecretVersion", withVault({ projectName, key, versionIndex: version - 1 }));
+
+        if (response.success) {
+            console.log(`Secret "${key}" in project "${projectName}" restored to version ${version}`);
+        } else {
+            // 앱의 오류는 0부터 센 versionIndex 기준이므로 CLI의 버전 번호로 안내
+            const message = /^Invalid version index/.test(response.error) ? `Version ${version} does not exist (see localkeys history ${projectName} ${key})` : response.error;
+            console.error(`Error: ${message}`);
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// agent 명령어 처리 (앱 실행 여부와 관계없이 동작)
+async function handleAgent() {
+    const subcommand = args[1];
+    const serverInfo = getServerInfo();
+    // 잠긴 채 실행 중인 앱·에이전트는 server-info.json이 없으므로 실행 표시(instance.lock)로 확인
+    const running = readInstanceLock() || (serverInfo && { pid: serverInfo.pid, headless: serverInfo.headless === true });
+
+    switch (subcommand) {
+        case "start": {
+            const keyfileArg = args.find((arg) => arg.startsWith("--keyfile="));
+            const { startAgent } = require("./agent");
+            await startAgent(
+                {
+                    keyfilePath: keyfileArg ? path.resolve(keyfileArg.slice("--keyfile=".length)) : null,
+                    prompt: !args.includes("--no-prompt"),
+                },
+                serverInfo,
+            );
+            break;
+        }
+        case "stop":
+            if (!running || !running.headless) {
+                console.error(running ? `Error: The LocalKeys app is running (PID ${running.pid}), not an agent.` : "Error: No LocalKeys agent is running.");
+                process.exit(1);
+            }
+            process.kill(running.pid, "SIGTERM");
+            console.log(`Stopped LocalKeys agent (PID ${running.pid})`);
+            break;
+        case "status":
+            if (!running) {
+                console.log("Neither the LocalKeys app nor an agent is running.");
+            } else {
+                const owner = running.headless ? "LocalKeys agent" : "LocalKeys app";
+                console.log(serverInfo ? `${owner} is serving requests (PID ${running.pid})` : `${owner} is running but locked (PID ${running.pid})`);
+            }
+            break;
+        default:
+            console.error(`Unknown agent command: ${subcommand || ""}`);
+            showHelp();
+            process.exit(1);
+    }
+}
+
 // 메인 함수
 async function main() {
     // 데이터 디렉토리 확인
@@ -341,11 +599,17 @@ async function main() {
         process.exit(1);
     }
 
-    // Electron 앱 실행 확인
+    // 에이전트 명령은 앱 없이 실행
+    if (command === "agent") {
+        await handleAgent();
+        return;
+    }
+
+    // Electron 앱(또는 헤드리스 에이전트) 실행 확인
     const isRunning = await isElectronAppRunning();
 
     if (!isRunning) {
-        console.error("Error: LocalKeys app is not running. Please start the GUI application first.");
+        console.error("Error: LocalKeys app is not running. Please start the GUI application first (or run `localkeys agent start`).");
         process.exit(1);
     }
 
@@ -366,6 +630,27 @@ async function main() {
         case "vaults":
             await handleVaults();
             break;
+        case "project":
+            await handleProject();
+            break;
+        case "keys":
+            await handleKeys();
+            break;
+        case "rm":
+            await handleRemove();
+            break;
+        case "mv":
+            await handleMove();
+            break;
+        case "history":
+            await handleHistory();
+            break;
+        case "restore":
+            await handleRestore();
+            break;
+        case "watch":
+            await handleWatch();
+            break;
         case "help":
         case "--help":
         case "-h":
@@ -0,0 +1,92 @@
+// 저장소의 프로젝트 설정 파일 (.localkeys.json)
+// 현재 디렉토리부터 상위로 올라가며 처음 찾은 파일을 사용 (저장소에 커밋해 팀원이 같은 설정을 사용)
+//
+//   { "project": "myapp", "vault": "Work", "keys": ["API_KEY", "DB_URL"], "env": { "DB_URL": "DATABASE_URL" } }
+//
+// - project: 프로젝트 이름, vault: 금고 이름 (없으면 System)
+// - keys: 가져올 키 목록 (없으면 프로젝트의 모든 키, 승인 요청에도 이 키만 표시)
+// - env: 시크릿 키 -> 환경변수 이름 (이름이 다른 경우만)
+// - required: 반드시 있어야 하는 키 (없으면 localkeys/register가 실패)
+// - override: localkeys/register가 이미 설정된 환경변수를 덮어쓸지 여부
+// CLI 인자나 환경변수로 다른 프로젝트를 지정하면 project 외의 값은 적용하지 않음 (appliesTo)
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILE_NAME = ".localkeys.json";
+
+// startDir부터 상위로 설정 파일 찾기 -> { path, config } 또는 null
+// 파일이 있는데 형식이 잘못되었으면 오류 (다른 설정으로 조용히 넘어가지 않도록)
+function findProjectConfig(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+    for (;;) {
+        const filePath = path.join(dir, CONFIG_FILE_NAME);
+        if (fs.existsSync(filePath)) {
+            return { path: filePath, config: readProjectConfig(filePath) };
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+function readProjectConfig(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+        throw new Error(`Invalid ${filePath}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        throw new Error(`Invalid ${filePath}: expected a JSON object`);
+    }
+    for (const field of ["project", "vault"]) {
+        if (config[field] !== undefined && (typeof config[field] !== "string" || !config[field].trim())) {
+            throw new Error(`Invalid ${filePath}: "${field}" must be a non-empty string`);
+        }
+    }
+    if (config.keys !== undefined && !isStringArray(config.keys)) {
+        throw new Error(`Invalid ${filePath}: "keys" must be an array of key names`);
+    }
+    if (config.env !== undefined && !isStringMap(config.env)) {
+        throw new Error(`Invalid ${filePath}: "env" must map key names to environment variable names`);
+    }
+    if (config.required !== undefined && !isStringArray(config.required)) {
+        throw new Error(`Invalid ${filePath}: "required" must be an array of key names`);
+    }
+    if (config.override !== undefined && typeof config.override !== "boolean") {
+        throw new Error(`Invalid ${filePath}: "override" must be true or false`);
+    }
+    return config;
+}
+
+// 설정을 projectName에 적용할지 (설정에 project가 없거나 같은 프로젝트)
+function appliesTo(config, projectName) {
+    return !config.project || config.project === projectName;
+}
+
+// 시크릿 키의 환경변수 이름 (rename: 설정의 env)
+function envNameFor(rename, key) {
+    return rename && Object.prototype.hasOwnProperty.call(rename, key) ? rename[key] : key;
+}
+
+function isStringMap(value) {
+    return (
+        !!value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.values(value).every((item) => typeof item === "string" && item.length > 0)
+    );
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every((item) => typeof item === "string" && item.length > 0);
+}
+
+module.exports = {
+    CONFIG_FILE_NAME,
+    findProjectConfig,
+    readProjectConfig,
+    appliesTo,
+    envNameFor,
+};
@@ -0,0 +1,17 @@
+// localkeys/register 동기 모드의 자식 프로세스 (cli/register.js의 loadEnvSync가 실행)
+// 인자: { project, vault, keys, timeout } JSON, 결과는 stdout에 JSON으로 출력 ({ success, data } 또는 { success: false, error, code })
+const { LocalKeysClient } = require("./client");
+const { fetchSecrets, toValues } = require("./register");
+
+async function main() {
+    try {
+        const request = JSON.parse(process.argv[2] || "{}");
+        const client = new LocalKeysClient({ vault: request.vault, timeout: request.timeout });
+        const secrets = await fetchSecrets(client, request);
+        process.stdout.write(JSON.stringify({ success: true, data: toValues(secrets) }));
+    } catch (error) {
+        process.stdout.write(JSON.stringify({ success: false, error: error.message, code: error.code || "internal" }));
+    }
+}
+
+main();
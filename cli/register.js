@@ -0,0 +1,157 @@
+// 프로젝트 시크릿을 process.env에 넣기 (dotenv/config처럼 앱 코드보다 먼저 실행)
+//   node -r localkeys/register app.js
+//   import "localkeys/register";
+// 설정 우선순위: 인자 options > 환경변수 > 프로젝트 설정 파일 (.localkeys.json, cli/project-config.js)
+// - LOCALKEYS_PROJECT / LOCALKEYS_VAULT: 프로젝트·금고 이름
+// - LOCALKEYS_REQUIRED: 반드시 있어야 하는 키 (쉼표로 구분, 하나라도 없으면 실패)
+// - LOCALKEYS_OVERRIDE: 1 또는 true면 이미 설정된 환경변수도 덮어씀 (기본: 유지)
+// - LOCALKEYS_TOKEN: 접근 토큰 (cli/client.js)
+// 시크릿은 getAllSecrets 한 번으로 가져오므로 승인도 한 번만 요청
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { LocalKeysClient, LocalKeysError, CLIENT_ERROR_CODES } = require("./client");
+const { findProjectConfig, appliesTo, envNameFor } = require("./project-config");
+
+// 동기 모드의 자식 프로세스 표시 (NODE_OPTIONS로 다시 preload되어도 실행하지 않음)
+const WORKER_ENV = "LOCALKEYS_REGISTER_WORKER";
+// 자식 프로세스 스크립트 (preload된 이 모듈과 별도 파일이어야 main으로 실행됨)
+const WORKER_PATH = path.join(__dirname, "register-worker.js");
+// 자식 프로세스 시간 제한 여유 (요청 시간 제한 + 프로세스 시작)
+const WORKER_GRACE_MS = 10000;
+
+// 비동기: 시크릿을 가져와 process.env에 반영 -> { project, vault, configPath, applied, skipped }
+// options: { project, vault, required, override, cwd, env, token, timeout }
+async function loadEnv(options = {}) {
+    const resolved = resolveOptions(options);
+    const client = new LocalKeysClient({ vault: resolved.vault, token: options.token, timeout: options.timeout });
+    const secrets = await fetchSecrets(client, resolved);
+    return applySecrets(resolved, toValues(secrets), options.env || process.env);
+}
+
+// 설정의 keys가 있으면 그 키만 요청 (승인 요청에도 이 키만 표시)
+function fetchSecrets(client, resolved) {
+    if (resolved.keys) return client.getBatchSecrets(resolved.project, resolved.keys);
+    return client.getAllSecrets(resolved.project);
+}
+
+// 동기: CommonJS 진입점·preload용 (자식 프로세스에서 요청하고 끝날 때까지 대기)
+function loadEnvSync(options = {}) {
+    const resolved = resolveOptions(options);
+    const timeout = Number.isFinite(options.timeout) ? options.timeout : 300000;
+    const request = { project: resolved.project, vault: resolved.vault, keys: resolved.keys, timeout };
+
+    // 토큰은 인자가 아니라 환경변수로 전달 (프로세스 목록에 노출되지 않도록)
+    const env = { ...process.env, [WORKER_ENV]: "1" };
+    if (options.token) env.LOCALKEYS_TOKEN = options.token;
+    // Electron 앱에서 실행하면 execPath가 Electron이므로 Node로 실행
+    if (process.versions.electron) env.ELECTRON_RUN_AS_NODE = "1";
+
+    const result = spawnSync(process.execPath, [WORKER_PATH, JSON.stringify(request)], {
+        env,
+        stdio: ["ignore", "pipe", "inherit"],
+        timeout: timeout + WORKER_GRACE_MS,
+        maxBuffer: 64 * 1024 * 1024,
+        windowsHide: true,
+    });
+    if (result.error) {
+        throw new LocalKeysError(`Failed to load secrets: ${result.error.message}`, CLIENT_ERROR_CODES.CONNECTION);
+    }
+
+    let response;
+    try {
+        response = JSON.parse(result.stdout.toString("utf8"));
+    } catch {
+        throw new LocalKeysError(`Failed to load secrets (exit code ${result.status})`, CLIENT_ERROR_CODES.PROTOCOL);
+    }
+    if (!response.success) {
+        throw new LocalKeysError(response.error, response.code);
+    }
+    return applySecrets(resolved, response.data, options.env || process.env);
+}
+
+function resolveOptions(options) {
+    const env = options.env || process.env;
+    const found = findProjectConfig(options.cwd || process.cwd());
+
+    const project = options.project || env.LOCALKEYS_PROJECT || (found && found.config.project);
+    if (!project) {
+        throw new LocalKeysError(
+            "No project specified. Set LOCALKEYS_PROJECT or add a .localkeys.json with a \"project\" field.",
+            "invalid",
+        );
+    }
+    // 다른 프로젝트를 지정했으면 설정 파일은 사용하지 않음
+    const binding = found && appliesTo(found.config, project) ? found : null;
+    const config = binding ? binding.config : {};
+
+    const required = options.required || splitList(env.LOCALKEYS_REQUIRED) || config.required || [];
+    let override = options.override;
+    if (override === undefined && env.LOCALKEYS_OVERRIDE !== undefined) override = /^(1|true|yes)$/i.test(env.LOCALKEYS_OVERRIDE);
+    if (override === undefined) override = config.override === true;
+
+    return {
+        project,
+        vault: options.vault || env.LOCALKEYS_VAULT || config.vault || null,
+        keys: config.keys || null,
+        rename: config.env || null,
+        required,
+        override,
+        configPath: binding ? binding.path : null,
+    };
+}
+
+function splitList(value) {
+    if (!value) return null;
+    const items = value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+// getAllSecrets 결과 -> key -> 문자열 값
+function toValues(secrets) {
+    const values = Object.create(null);
+    for (const [key, secret] of Object.entries(secrets || {})) {
+        if (secret && typeof secret === "object" && Object.prototype.hasOwnProperty.call(secret, "value")) {
+            values[key] = String(secret.value ?? "");
+        } else {
+            values[key] = String(secret ?? "");
+        }
+    }
+    return values;
+}
+
+// 필수 키를 먼저 확인하고 (없으면 아무것도 바꾸지 않음) 환경변수에 반영
+// required는 시크릿 키 기준, applied·skipped는 환경변수 이름 기준
+function applySecrets(resolved, values, env) {
+    const missing = resolved.required.filter((key) => !Object.prototype.hasOwnProperty.call(values, key));
+    if (missing.length > 0) {
+        throw new LocalKeysError(
+            `Missing required secrets in project "${resolved.project}": ${missing.join(", ")} (not found or not approved)`,
+            "not_found",
+        );
+    }
+
+    const applied = [];
+    const skipped = [];
+    for (const [key, value] of Object.entries(values)) {
+        const name = envNameFor(resolved.rename, key);
+        if (!resolved.override && Object.prototype.hasOwnProperty.call(env, name)) {
+            skipped.push(name);
+            continue;
+        }
+        env[name] = value;
+        applied.push(name);
+    }
+
+    return { project: resolved.project, vault: resolved.vault, configPath: resolved.configPath, applied, skipped };
+}
+
+module.exports = {
+    WORKER_ENV,
+    loadEnv,
+    loadEnvSync,
+    fetchSecrets,
+    toValues,
+};
@@ -0,0 +1,148 @@
+// Type definitions for require("localkeys/client")
+import { IncomingMessage } from "http";
+
+export declare const PROTOCOL_VERSION: number;
+
+export declare const CLIENT_ERROR_CODES: {
+    NOT_RUNNING: "not_running";
+    CONNECTION: "connection";
+    TIMEOUT: "timeout";
+    INCOMPATIBLE: "incompatible";
+    PROTOCOL: "protocol";
+};
+
+/** Error codes sent by the app, plus the client-side codes above. */
+export type LocalKeysErrorCode =
+    | "locked"
+    | "denied"
+    | "not_found"
+    | "invalid"
+    | "unauthorized"
+    | "rate_limited"
+    | "internal"
+    | (typeof CLIENT_ERROR_CODES)[keyof typeof CLIENT_ERROR_CODES];
+
+export declare class LocalKeysError extends Error {
+    name: "LocalKeysError";
+    code: LocalKeysErrorCode;
+    /** HTTP status for rejected requests (401, 429, ...), otherwise null. */
+    statusCode: number | null;
+    /** Module-specific error code, e.g. "VAULT_EXTERNAL_CHANGE". */
+    detail: string | null;
+    /** Seconds to wait before retrying a rate-limited request. */
+    retryAfter: number | null;
+}
+
+export interface LocalKeysClientOptions {
+    /** Vault to use. Defaults to the System vault, or the vault of an access token. */
+    vault?: string;
+    /** Access token. Defaults to LOCALKEYS_TOKEN, then the app's own token. */
+    token?: string;
+    /** Request timeout in ms, including time spent waiting for approval. Default 300000. */
+    timeout?: number;
+    /** Retries when the request could not reach the app. Default 2. */
+    retries?: number;
+    /** Delay between retries in ms. Default 1000. */
+    retryDelay?: number;
+    /** Path to server-info.json. Defaults to ~/.localkeys/server-info.json. */
+    serverInfoPath?: string;
+}
+
+export interface Secret {
+    value: string;
+    expiresAt: string | null;
+    [field: string]: unknown;
+}
+
+export interface SecretVersion {
+    value: string;
+    expiresAt: string | null;
+    changedAt: string | null;
+    isCurrent: boolean;
+}
+
+export interface SecretHistory {
+    current: SecretVersion;
+    /** Previous versions, most recent first. */
+    history: SecretVersion[];
+    totalVersions: number;
+}
+
+export interface ProjectSummary {
+    name: string;
+    secretCount: number;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface VaultSummary {
+    id: string;
+    name: string;
+    path: string;
+    isSystem: boolean;
+    isActive: boolean;
+    status: string;
+    hasKeyfile?: boolean;
+}
+
+export interface ServerStatus {
+    isUnlocked: boolean;
+    appVersion: string;
+    protocolVersion: number;
+    minProtocolVersion: number;
+    actions: string[];
+    features: string[];
+    headless?: boolean;
+    serverTime: string;
+    [field: string]: unknown;
+}
+
+export interface ServerInfo {
+    pid: number;
+    host: string;
+    port: number;
+    socketPath?: string;
+    authToken: string;
+    headless?: boolean;
+    [field: string]: unknown;
+}
+
+export interface ApiResponse<T = unknown> {
+    success: boolean;
+    data?: T;
+    error?: string;
+    code?: LocalKeysErrorCode;
+    detail?: string;
+}
+
+export declare class LocalKeysClient {
+    constructor(options?: LocalKeysClientOptions);
+    /** A client with the same options that uses another vault. */
+    withVault(vault: string): LocalKeysClient;
+    status(): Promise<ServerStatus>;
+    listVaults(): Promise<VaultSummary[]>;
+    listProjects(): Promise<ProjectSummary[]>;
+    listSecretKeys(projectName: string): Promise<string[]>;
+    getSecret(projectName: string, key: string): Promise<Secret>;
+    /** Only the keys approved in the dialog are included. */
+    getAllSecrets(projectName: string): Promise<Record<string, Secret>>;
+    /** Only existing, approved keys are included. */
+    getBatchSecrets(projectName: string, keys: string[]): Promise<Record<string, Secret>>;
+    setSecret(projectName: string, key: string, value: string, options?: { expiresAt?: string }): Promise<void>;
+    createProject(projectName: string): Promise<void>;
+    deleteProject(projectName: string): Promise<void>;
+    renameSecret(projectName: string, fromKey: string, toKey: string): Promise<void>;
+    deleteSecret(projectName: string, key: string): Promise<void>;
+    getSecretHistory(projectName: string, key: string): Promise<SecretHistory>;
+    /** versionIndex is the position in SecretHistory.history (0 is the previous version). */
+    restoreSecretVersion(projectName: string, key: string, versionIndex: number): Promise<void>;
+    /** Calls an action and returns its data, throwing LocalKeysError on failure. */
+    call<T = unknown>(action: string, data?: Record<string, unknown>): Promise<T>;
+    /** Calls an action and returns the app's response, including failed ones. */
+    request<T = unknown>(action: string, data?: Record<string, unknown>): Promise<ApiResponse<T>>;
+    checkCompatibility(options?: { action?: string; feature?: string }): Promise<ServerStatus>;
+    /** Opens the /events Server-Sent Events stream. */
+    openEventStream(): Promise<IncomingMessage>;
+}
+
+export declare function getServerInfo(serverInfoPath?: string): ServerInfo | null;
@@ -0,0 +1,2 @@
+// require("localkeys/client") 진입점 (구현은 cli/client.js)
+module.exports = require("./cli/client");
@@ -0,0 +1,36 @@
+// Type definitions for require("localkeys/register")
+// Importing this module loads the project's secrets into process.env immediately.
+
+export interface LoadEnvOptions {
+    /** Project name. Defaults to LOCALKEYS_PROJECT, then .localkeys.json. */
+    project?: string;
+    /** Vault name. Defaults to LOCALKEYS_VAULT, then .localkeys.json, then System. */
+    vault?: string;
+    /** Keys that must exist. Defaults to LOCALKEYS_REQUIRED (comma-separated), then .localkeys.json. */
+    required?: string[];
+    /** Overwrite variables that are already set. Defaults to LOCALKEYS_OVERRIDE, then .localkeys.json, then false. */
+    override?: boolean;
+    /** Directory where the .localkeys.json search starts. Defaults to process.cwd(). */
+    cwd?: string;
+    /** Environment to read settings from and write secrets to. Defaults to process.env. */
+    env?: Record<string, string | undefined>;
+    /** Access token. Defaults to LOCALKEYS_TOKEN. */
+    token?: string;
+    /** Request timeout in ms, including time spent waiting for approval. Default 300000. */
+    timeout?: number;
+}
+
+export interface LoadEnvResult {
+    project: string;
+    vault: string | null;
+    /** The .localkeys.json that was used, if any. */
+    configPath: string | null;
+    /** Keys written to the environment. */
+    applied: string[];
+    /** Keys left unchanged because they were already set. */
+    skipped: string[];
+}
+
+export declare const WORKER_ENV: string;
+export declare function loadEnv(options?: LoadEnvOptions): Promise<LoadEnvResult>;
+export declare function loadEnvSync(options?: LoadEnvOptions): LoadEnvResult;
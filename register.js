@@ -0,0 +1,14 @@
+// require("localkeys/register") / node -r localkeys/register 진입점 (구현은 cli/register.js)
+// 불러오는 즉시 프로젝트 시크릿을 process.env에 넣고, 실패하면 앱을 시작하지 않고 종료
+const register = require("./cli/register");
+
+if (!process.env[register.WORKER_ENV]) {
+    try {
+        register.loadEnvSync();
+    } catch (error) {
+        console.error(`[localkeys] ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = register;
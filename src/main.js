@@ -9,8 +9,18 @@ const windowStateKeeper = require("electron-window-state");
 
 const { buildVaultDiff, mergeVaultData, isSilentResolvable } = require("./modules/vault-merge");
 const VaultManager = require("./modules/vault-manager");
+const { BUNDLE_EXTENSION, createVaultBundle, openVaultBundle } = require("./modules/vault-bundle");
+const { generateKeyfile, readKeyfileDigest } = require("./modules/keyfile");
+const UnlockThrottle = require("./modules/unlock-throttle");
+const ApprovalGrants = require("./modules/approval-grants");
+const ApprovalQueue = require("./modules/approval-queue");
+const ChangeFeed = require("./modules/change-feed");
+const { normalizePolicies } = require("./modules/access-policy");
+const { createAccessToken, publicTokenRecord } = require("./modules/access-tokens");
+const { normalizeSettings, loadSettingsFile, saveSettingsFile } = require("./modules/settings");
 const Logger = require("./modules/logger");
 const HttpServer = require("./modules/http-server");
+const { acquireInstanceLock, readInstanceLock, releaseInstanceLock } = require("./modules/instance-lock");
 const I18n = require("./modules/i18n");
 const License = require("./modules/license");
 
@@ -18,15 +28,39 @@ let mainWindow = null;
 let vaultManager = null;
 let logger = null;
 let httpServer = null;
+// 멈추는 중인 이전 서버 (새 서버는 이전 서버가 소켓·server-info.json을 정리한 뒤에 시작)
+let httpServerStopping = null;
 let isUnlocked = false;
 let tray = null;
 let isQuitting = false;
 let i18n = null;
 let license = null;
+let unlockThrottle = null;
 
 let appInitialized = false;
 let ipcHandlersInitialized = false;
 
+// 복구 키로 시스템 금고를 연 뒤 새 마스터 비밀번호를 설정하기 전 상태 (이 동안 앱과 HTTP 서버는 잠금 상태 유지)
+let recoveryResetPending = false;
+
+// 기억된 CLI 승인 (메모리에만 보관, 잠금 시 삭제)
+const approvalGrants = new ApprovalGrants();
+
+// 승인 다이얼로그 대기열 (한 번에 하나씩 표시, 같은 요청은 합침)
+const approvalQueue = new ApprovalQueue((request, queue) =>
+    showApprovalDialog(request.projectName, request.keys, request.action, request.client, {
+        allowRemember: request.allowRemember,
+        write: request.write,
+        queue,
+    })
+);
+
+// 금고 변경 이벤트 (CLI watch 등 /events 구독자에게 전달)
+const changeFeed = new ChangeFeed();
+changeFeed.subscribe((event) => {
+    if (httpServer) httpServer.publishEvent(event);
+});
+
 // 자동 잠금 타이머
 let autoLockCheckInterval = null;
 
@@ -35,73 +69,8 @@ let vaultDiskSyncIntervalId = null;
 
 const LOCALKEYS_DIR = path.join(os.homedir(), ".localkeys");
 const SETTINGS_FILE = path.join(LOCALKEYS_DIR, "settings.json");
-
-// 기본 설정값
-const DEFAULT_SETTINGS = {
-    checkForUpdates: true,
-    locale: "system",
-    showStatistics: true,
-    autoLock: {
-        enabled: true,
-        timeout: 30, // 분 단위
-    },
-    screenCaptureProtection: true,
-    /** 금고 파일 주기 동기화 간격(초): 5 또는 60 */
-    vaultDiskSyncIntervalSeconds: 5,
-};
-
-function coerceBoolean(value, fallback) {
-    return typeof value === "boolean" ? value : fallback;
-}
-
-function coerceString(value, fallback) {
-    return typeof value === "string" && value.trim() ? value : fallback;
-}
-
-function coerceAutoLockTimeout(value, fallback) {
-    if (typeof value !== "number" || !Number.isFinite(value)) return fallback;
-    const coerced = Math.floor(value);
-    if (coerced < 1) return 1;
-    if (coerced > 1440) return 1440;
-    return coerced;
-}
-
-function coerceVaultDiskSyncIntervalSeconds(value) {
-    const n = typeof value === "number" && Number.isFinite(value) ? Math.floor(value) : NaN;
-    if (n === 60) return 60;
-    return 5;
-}
-
-function normalizeSettings(settings) {
-    const safeSettings = settings && typeof settings === "object" && !Array.isArray(settings) ? settings : {};
-    const safeAutoLock =
-        safeSettings.autoLock && typeof safeSettings.autoLock === "object" && !Array.isArray(safeSettings.autoLock) ? safeSettings.autoLock : {};
-
-    const normalized = {
-        checkForUpdates: coerceBoolean(safeSettings.checkForUpdates, DEFAULT_SETTINGS.checkForUpdates),
-        locale: coerceString(safeSettings.locale, DEFAULT_SETTINGS.locale),
-        showStatistics: coerceBoolean(safeSettings.showStatistics, DEFAULT_SETTINGS.showStatistics),
-        autoLock: {
-            enabled: coerceBoolean(safeAutoLock.enabled, DEFAULT_SETTINGS.autoLock.enabled),
-            timeout: coerceAutoLockTimeout(safeAutoLock.timeout, DEFAULT_SETTINGS.autoLock.timeout),
-        },
-        screenCaptureProtection: coerceBoolean(safeSettings.screenCaptureProtection, DEFAULT_SETTINGS.screenCaptureProtection),
-        vaultDiskSyncIntervalSeconds: coerceVaultDiskSyncIntervalSeconds(safeSettings.vaultDiskSyncIntervalSeconds),
-    };
-
-    const repairs = [];
-    if (normalized.checkForUpdates !== safeSettings.checkForUpdates) repairs.push("checkForUpdates");
-    if (normalized.locale !== safeSettings.locale) repairs.push("locale");
-    if (normalized.showStatistics !== safeSettings.showStatistics) repairs.push("showStatistics");
-    if (normalized.autoLock.enabled !== safeAutoLock.enabled) repairs.push("autoLock.enabled");
-    if (normalized.autoLock.timeout !== safeAutoLock.timeout) repairs.push("autoLock.timeout");
-    if (normalized.screenCaptureProtection !== safeSettings.screenCaptureProtection) repairs.push("screenCaptureProtection");
-    if (normalized.vaultDiskSyncIntervalSeconds !== safeSettings.vaultDiskSyncIntervalSeconds) {
-        repairs.push("vaultDiskSyncIntervalSeconds");
-    }
-
-    return { normalized, repairs };
-}
+// 에이전트에 종료를 요청한 뒤 금고를 잠그고 끝날 때까지 기다리는 최대 시간
+const AGENT_STOP_TIMEOUT_MS = 10000;
 
 function openExternalSafely(rawUrl) {
     try {
@@ -113,50 +82,25 @@ function openExternalSafely(rawUrl) {
 
 // 설정 로드
 function loadSettings() {
-    try {
-        if (fs.existsSync(SETTINGS_FILE)) {
-            const data = fs.readFileSync(SETTINGS_FILE, "utf8");
-            const parsed = JSON.parse(data);
-            const { normalized, repairs } = normalizeSettings(parsed);
-
-            if (repairs.length > 0) {
-                try {
-                    saveSettings(normalized);
-                } catch {}
-                return { ...normalized, __loadStatus: "repaired", __repairs: repairs };
-            }
-
-            return { ...normalized, __loadStatus: "ok", __repairs: [] };
-        }
-    } catch (error) {
-        console.error("설정 로드 실패:", error);
-        const { normalized } = normalizeSettings();
-        try {
-            saveSettings(normalized);
-        } catch {}
-        return { ...normalized, __loadStatus: "reset", __repairs: ["__invalidFile"] };
-    }
-    const { normalized } = normalizeSettings();
-    return { ...normalized, __loadStatus: "ok", __repairs: [] };
+    return loadSettingsFile(SETTINGS_FILE);
 }
 
 // 설정 저장
 function saveSettings(settings) {
-    try {
-        const { normalized } = normalizeSettings(settings);
-        try {
-            fs.mkdirSync(LOCALKEYS_DIR, { recursive: true });
-        } catch {}
+    return saveSettingsFile(SETTINGS_FILE, settings);
+}
 
-        fs.writeFileSync(SETTINGS_FILE, JSON.stringify(normalized, null, 2));
-        try {
-            fs.chmodSync(SETTINGS_FILE, 0o600);
-        } catch {}
-        return { success: true };
-    } catch (error) {
-        console.error("설정 저장 실패:", error);
-        return { success: false, error: error.message };
-    }
+// 시스템 금고 키 파일 경로 기억 (null이면 삭제)
+function rememberKeyfilePath(keyfilePath) {
+    const settings = loadSettings();
+    if (settings.keyfilePath === keyfilePath) return;
+    saveSettings({ ...settings, keyfilePath });
+}
+
+// 렌더러가 보낸 keyfilePath로 키 파일 digest 읽기 (경로가 없으면 null)
+function keyfileDigestFromOptions(options) {
+    const keyfilePath = typeof options?.keyfilePath === "string" ? options.keyfilePath : "";
+    return keyfilePath ? readKeyfileDigest(keyfilePath) : null;
 }
 
 // 활성 금고 헬퍼
@@ -176,17 +120,73 @@ function attachVaultConflictNotifier() {
     });
 }
 
+// 금고 변경을 이벤트로 변환 (열 때 기준 상태 저장, 잠그면 삭제)
+function attachVaultChangeNotifier() {
+    if (!vaultManager) return;
+    vaultManager.setChangeNotifier((vaultId, vault, reason) => {
+        if (reason === "loaded") {
+            changeFeed.reset(vaultId, vault);
+        } else if (reason === "locked") {
+            changeFeed.forget(vaultId);
+        } else {
+            changeFeed.changed(vaultId, vaultManager.getVaultName(vaultId), vault);
+        }
+    });
+}
+
 // 시스템 금고 헬퍼
 function getSystemVault() {
     return vaultManager ? vaultManager.systemVault : null;
 }
 
+// 실행 표시(instance.lock) 획득 -> 계속 실행하면 true
+// 에이전트는 잠긴 채로도 실행 중일 수 있어(server-info.json 없음) 실행 표시로 확인하고, 종료할지 물음
+async function claimInstanceLock() {
+    const t = (key, fallback, replacements) => (i18n ? i18n.t(key, replacements) : fallback);
+    let lock = acquireInstanceLock();
+    if (lock.acquired) return true;
+
+    const { pid } = lock.owner;
+    if (!lock.owner.headless) {
+        dialog.showErrorBox("LocalKeys", t("instance.appRunning", `LocalKeys is already running (PID ${pid}).`, { pid }));
+        return false;
+    }
+
+    const { response } = await dialog.showMessageBox({
+        type: "warning",
+        title: "LocalKeys",
+        message: t("instance.agentRunning", `A LocalKeys agent is running (PID ${pid})`, { pid }),
+        detail: t("instance.agentRunningDetail", "The app and the agent cannot run at the same time. Stop the agent to continue."),
+        buttons: [t("instance.stopAgent", "Stop Agent"), t("tray.quit", "Quit")],
+        defaultId: 0,
+        cancelId: 1,
+    });
+    if (response !== 0) return false;
+
+    try {
+        process.kill(pid, "SIGTERM");
+    } catch {}
+    const deadline = Date.now() + AGENT_STOP_TIMEOUT_MS;
+    while (readInstanceLock() && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    lock = acquireInstanceLock();
+    if (!lock.acquired) {
+        dialog.showErrorBox("LocalKeys", t("instance.agentStopFailed", "The agent did not stop. Run `localkeys agent stop` and start the app again."));
+        return false;
+    }
+    return true;
+}
+
 async function ensureHttpServerStarted() {
     if (!vaultManager || !logger) return;
 
+    if (httpServerStopping) await httpServerStopping;
+
     if (!httpServer) {
-        httpServer = new HttpServer(vaultManager, logger);
-        httpServer.setApprovalCallback(showApprovalDialog);
+        httpServer = new HttpServer(vaultManager, logger, { appVersion: APP_VERSION, protection: loadSettings().apiProtection });
+        httpServer.setApprovalCallback(requestApproval);
     }
 
     if (httpServer.server) return;
@@ -200,12 +200,14 @@ async function ensureHttpServerStarted() {
 
 function stopHttpServer() {
     if (!httpServer) return;
-    try {
-        const stopPromise = httpServer.stop();
-        if (stopPromise && typeof stopPromise.catch === "function") {
-            stopPromise.catch(() => {});
-        }
-    } catch {}
+    const server = httpServer;
+    const stopping = Promise.resolve()
+        .then(() => server.stop())
+        .catch(() => {});
+    httpServerStopping = stopping;
+    stopping.then(() => {
+        if (httpServerStopping === stopping) httpServerStopping = null;
+    });
     httpServer = null;
 }
 
@@ -225,7 +227,17 @@ function startVaultDiskSync() {
             if (!vault || vault.isLocked) return;
             vault
                 .tickPeriodicDiskSync()
-                .then((result) => {
+                .then(async (result) => {
+                    if (result.keyChanged) {
+                        const vaultId = vault.getVaultId();
+                        await vaultManager.markVaultKeyChanged(vaultId);
+                        if (mainWindow && !mainWindow.isDestroyed()) {
+                            try {
+                                mainWindow.webContents.send("vault:needs-password", { vaultId });
+                            } catch {}
+                        }
+                        return;
+                    }
                     if (result.didSync && mainWindow && !mainWindow.isDestroyed()) {
                         try {
                             mainWindow.webContents.send("vault:data-synced", {});
@@ -601,18 +613,27 @@ function initializeApp() {
     // 로거 초기화
     logger = new Logger(path.join(LOCALKEYS_DIR, "logs.enc"));
 
+    // 잠금 해제 실패 기록 (재시작해도 유지)
+    unlockThrottle = new UnlockThrottle(path.join(LOCALKEYS_DIR, "unlock-attempts.json"));
+
     // VaultManager 초기화 (시스템 금고 인스턴스 생성만, vaults.enc는 잠금 해제 후 복호화)
     vaultManager = new VaultManager(LOCALKEYS_DIR);
+    vaultManager.setBackupPolicy(settings.backups);
+    // 시스템 키가 바뀌면 (비밀번호·키 파일 변경, KDF 업그레이드, 복구) 기존 로그를 새 키로 재암호화
+    vaultManager.setSystemKeyChangeHandler((previousKey, newKey) => {
+        logger.setEncryptionKey(previousKey);
+        logger.rekey(newKey);
+    });
     vaultManager.init();
 
     // License 초기화
     license = new License(LOCALKEYS_DIR);
 
     // HTTP 서버 초기화
-    httpServer = new HttpServer(vaultManager, logger);
+    httpServer = new HttpServer(vaultManager, logger, { appVersion: APP_VERSION, protection: settings.apiProtection });
 
     // 승인 콜백 설정
-    httpServer.setApprovalCallback(showApprovalDialog);
+    httpServer.setApprovalCallback(requestApproval);
 
     // 트레이 아이콘 생성
     createTray();
@@ -687,6 +708,85 @@ ELECTRON_RUN_AS_NODE=1 "${electronPath}" "${cliJsPath}" "$@"`;
     }
 }
 
+// Vault 잠금 해제
+// unlock: 금고를 여는 함수 - 비밀번호 잠금 해제 또는 복구 후 새 비밀번호 설정
+// 키 파생 중에도 HTTP 서버를 먼저 열어 두어, 그 사이 들어온 CLI 요청이 거부되지 않고 잠금 해제 결과를 기다리게 함
+async function unlockVault(unlock) {
+    await ensureHttpServerStarted();
+
+    const unlockPromise = (async () => {
+        await unlock();
+
+        // Vault 상태 동기화
+        isUnlocked = true;
+
+        // Logger 암호화 키 설정 (KDF 업그레이드·비밀번호 재설정으로 키가 바뀌었으면 로그는 키 변경 중에 이미 재암호화됨)
+        if (logger && vaultManager.systemVault.key) {
+            logger.setEncryptionKey(vaultManager.systemVault.key);
+        }
+
+        // 잠긴 동안의 실패 기록을 로그로 옮기고 대기 해제
+        unlockThrottle.recordSuccess();
+        if (logger) logFailedUnlockAttempts();
+
+        // HTTP 서버 상태 업데이트
+        if (httpServer) httpServer.setUnlocked(isUnlocked);
+    })();
+    if (httpServer) httpServer.setPendingUnlock(unlockPromise);
+
+    try {
+        await unlockPromise;
+    } catch (error) {
+        if (!isUnlocked) stopHttpServer();
+        throw error;
+    }
+
+    // 자동 잠금 시작
+    startAutoLock();
+
+    startVaultDiskSync();
+}
+
+// 키 변경이 실패해 되돌려졌으면 Logger도 시스템 금고의 현재(이전) 키를 쓰도록 맞춤
+function syncLoggerKey() {
+    if (logger && vaultManager.systemVault?.key) {
+        logger.setEncryptionKey(vaultManager.systemVault.key);
+    }
+}
+
+// 잠금 해제 대기 중이면 거부 응답, 아니면 null
+function checkUnlockThrottle() {
+    const { allowed, retryAfterMs } = unlockThrottle.check();
+    if (allowed) return null;
+    return { success: false, error: "Too many failed attempts. Try again later.", code: "UNLOCK_THROTTLED", retryAfterMs };
+}
+
+// 잠금 해제 실패 기록 (응답의 retryAfterMs: 다음 시도까지 대기 시간)
+function unlockFailure(error, method) {
+    const retryAfterMs = unlockThrottle.recordFailure(method);
+    return { success: false, error: error.message, code: error.code, retryAfterMs };
+}
+
+// 잠긴 동안 쌓인 잠금 해제 실패 기록을 암호화 로그로 옮김
+function logFailedUnlockAttempts() {
+    const { attempts, omitted } = unlockThrottle.takeAttempts();
+    if (omitted > 0) {
+        logger.logLock(`${omitted} earlier failed unlock attempts were not recorded in detail`);
+    }
+    for (const attempt of attempts) {
+        logger.logLock(`Failed unlock attempt (${attempt.method}) at ${attempt.at}`);
+    }
+}
+
+// 잠금 해제 진행 상황을 요청한 창으로 전달하는 콜백
+function sendUnlockProgress(event) {
+    return (progress) => {
+        try {
+            if (!event.sender.isDestroyed()) event.sender.send("vault:unlock-progress", progress);
+        } catch {}
+    };
+}
+
 // Vault 잠금
 function lockVault() {
     if (!vaultManager) return;
@@ -695,6 +795,9 @@ function lockVault() {
     stopVaultDiskSync();
     stopAutoLock();
     isUnlocked = false;
+    approvalGrants.clear();
+    approvalQueue.cancelPending("Vault locked");
+    changeFeed.clear();
 
     // HTTP 서버 종료 (server-info.json 제거 및 토큰 폐기)
     if (httpServer) {
@@ -833,9 +936,16 @@ function setupIpcHandlers() {
     ipcHandlersInitialized = true;
 
     // Vault 설정
-    ipcMain.handle("vault:setup", async (event, password) => {
+    // options.recoveryKey: 복구 키 생성 여부 (생성된 복구 키는 응답으로 한 번만 전달)
+    // options.keyfilePath: 비밀번호와 함께 요구할 키 파일
+    ipcMain.handle("vault:setup", async (event, password, options) => {
         try {
-            await vaultManager.setupSystemVault(password);
+            const keyfile = keyfileDigestFromOptions(options);
+            const { recoveryKey } = await vaultManager.setupSystemVault(password, {
+                recoveryKey: options?.recoveryKey === true,
+                keyfile,
+            });
+            if (keyfile) rememberKeyfilePath(options.keyfilePath);
 
             // Vault 상태 동기화
             isUnlocked = true;
@@ -849,7 +959,7 @@ function setupIpcHandlers() {
             await ensureHttpServerStarted();
             if (httpServer) httpServer.setUnlocked(isUnlocked);
 
-            return { success: true };
+            return { success: true, recoveryKey };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -864,29 +974,111 @@ function setupIpcHandlers() {
     });
 
     // Vault 잠금 해제
-    ipcMain.handle("vault:unlock", async (event, password) => {
+    // options.keyfilePath: 키 파일을 요구하는 금고일 때 필요 (성공하면 이 컴퓨터의 경로로 기억)
+    // 실패하면 횟수에 따라 대기 시간이 늘어남 (키 파일을 찾지 못한 경우는 시도로 세지 않음)
+    ipcMain.handle("vault:unlock", async (event, password, options) => {
+        if (recoveryResetPending) return { success: false, error: "Set a new master password to finish recovery" };
+        const throttled = checkUnlockThrottle();
+        if (throttled) return throttled;
+
+        let keyfile = null;
         try {
-            await vaultManager.unlockAll(password);
+            keyfile = vaultManager.systemRequiresKeyfile() ? readKeyfileDigest(options?.keyfilePath) : null;
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
 
-            // Vault 상태 동기화
-            isUnlocked = true;
+        try {
+            await unlockVault(() => vaultManager.unlockAll(password, sendUnlockProgress(event), { keyfile }));
+        } catch (error) {
+            return unlockFailure(error, "password");
+        }
+        if (keyfile) rememberKeyfilePath(options.keyfilePath);
+        return { success: true };
+    });
 
-            // Logger 암호화 키 설정
-            if (logger && vaultManager.systemVault.key) {
-                logger.setEncryptionKey(vaultManager.systemVault.key);
-            }
+    // 잠금 화면 진입 시 남은 대기 시간
+    ipcMain.handle("vault:unlockThrottle", () => {
+        return { success: true, data: unlockThrottle.check() };
+    });
 
-            // HTTP 서버 상태 업데이트
-            await ensureHttpServerStarted();
-            if (httpServer) httpServer.setUnlocked(isUnlocked);
+    // 잠금 화면용 키 파일 상태 (required: 키 파일 필요 여부, path: 기억해 둔 경로)
+    ipcMain.handle("vault:keyfileStatus", () => {
+        try {
+            return { success: true, data: { required: vaultManager.systemRequiresKeyfile(), path: loadSettings().keyfilePath } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle("vault:hasRecoveryKey", () => {
+        try {
+            return vaultManager.hasSystemRecoveryKey();
+        } catch {
+            return false;
+        }
+    });
+
+    // 복구 키로 시스템 금고 열기 (새 마스터 비밀번호를 설정해야 잠금 해제가 끝남)
+    ipcMain.handle("vault:unlockWithRecoveryKey", async (event, recoveryKey) => {
+        if (isUnlocked) return { success: false, error: "Vault is already unlocked" };
+        const throttled = checkUnlockThrottle();
+        if (throttled) return throttled;
+        try {
+            await vaultManager.unlockSystemWithRecoveryKey(recoveryKey);
+        } catch (error) {
+            return unlockFailure(error, "recovery key");
+        }
+        unlockThrottle.recordSuccess();
+        recoveryResetPending = true;
+        return { success: true };
+    });
+
+    // 복구 후 새 마스터 비밀번호 설정 -> 정상 잠금 해제 완료
+    ipcMain.handle("vault:resetPassword", async (event, newPassword) => {
+        if (!recoveryResetPending) return { success: false, error: "No password reset in progress" };
+        try {
+            await unlockVault(() => vaultManager.completeRecovery(newPassword, sendUnlockProgress(event)));
+            recoveryResetPending = false;
+            if (logger) logger.logLock("Master password reset with recovery key");
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
 
-            // 자동 잠금 시작
-            startAutoLock();
+    // 복구 취소: 열어 둔 시스템 금고를 다시 잠금
+    ipcMain.handle("vault:cancelRecovery", async () => {
+        if (!recoveryResetPending) return { success: true };
+        recoveryResetPending = false;
+        await vaultManager.lockAllVaults().catch(() => {});
+        return { success: true };
+    });
 
-            startVaultDiskSync();
+    // 마스터 비밀번호 변경 (vault.enc, vaults.enc, logs.enc 모두 새 키로 재암호화)
+    ipcMain.handle("vault:changePassword", async (event, oldPassword, newPassword) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            await vaultManager.changeSystemPassword(oldPassword, newPassword);
+            if (logger) logger.logLock("Master password changed");
+            return { success: true };
+        } catch (error) {
+            syncLoggerKey();
+            return { success: false, error: error.message };
+        }
+    });
 
+    // 시스템 금고 키 파일 설정·교체·해제 (keyfilePath가 없으면 해제)
+    ipcMain.handle("vault:changeKeyfile", async (event, password, keyfilePath) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            const keyfile = keyfileDigestFromOptions({ keyfilePath });
+            await vaultManager.changeSystemKeyfile(password, keyfile);
+            rememberKeyfilePath(keyfile ? keyfilePath : null);
+            if (logger) logger.logLock(keyfile ? "Keyfile set for the System vault" : "Keyfile removed from the System vault");
             return { success: true };
         } catch (error) {
+            syncLoggerKey();
             return { success: false, error: error.message };
         }
     });
@@ -912,10 +1104,10 @@ function setupIpcHandlers() {
         }
     });
 
-    // 외부 금고 생성 (별도 비밀번호 사용)
-    ipcMain.handle("vault:create", async (event, name, folderPath, password) => {
+    // 외부 금고 생성 (별도 비밀번호 사용, options.keyfilePath로 키 파일 추가 가능)
+    ipcMain.handle("vault:create", async (event, name, folderPath, password, options) => {
         try {
-            const result = await vaultManager.createVault(name, folderPath, password);
+            const result = await vaultManager.createVault(name, folderPath, password, { keyfile: keyfileDigestFromOptions(options) });
             return { success: true, data: result };
         } catch (error) {
             return { success: false, error: error.message };
@@ -923,15 +1115,37 @@ function setupIpcHandlers() {
     });
 
     // 외부 금고 가져오기 (새 컴퓨터에서: 비밀번호 필요 / 기존 컴퓨터: vaults.enc에 키 있어 자동 잠금 해제)
-    ipcMain.handle("vault:import", async (event, name, lkvPath, password) => {
+    ipcMain.handle("vault:import", async (event, name, lkvPath, password, options) => {
         try {
-            const result = await vaultManager.importVault(name, lkvPath, password);
+            const result = await vaultManager.importVault(name, lkvPath, password, { keyfile: keyfileDigestFromOptions(options) });
             return { success: true, data: result };
         } catch (error) {
             return { success: false, error: error.message };
         }
     });
 
+    // 외부 금고 비밀번호 변경 (공유 폴더의 vault.enc를 새 키로 재암호화)
+    // options.keyfilePath: 새 키 파일, options.removeKeyfile: 키 파일 해제 (둘 다 없으면 현재 키 파일 유지)
+    ipcMain.handle("vault:changeExternalPassword", async (event, vaultId, newPassword, options) => {
+        try {
+            const keyfile = options?.removeKeyfile === true ? null : keyfileDigestFromOptions(options) || undefined;
+            await vaultManager.changeVaultPassword(vaultId, newPassword, { keyfile });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // 다른 컴퓨터에서 비밀번호가 바뀐 외부 금고를 새 비밀번호로 잠금 해제
+    ipcMain.handle("vault:unlockExternal", async (event, vaultId, password, options) => {
+        try {
+            await vaultManager.unlockVaultWithPassword(vaultId, password, { keyfile: keyfileDigestFromOptions(options) });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // 금고 이름 변경
     ipcMain.handle("vault:rename", (event, vaultId, newName) => {
         try {
@@ -965,6 +1179,33 @@ function setupIpcHandlers() {
         }
     });
 
+    // 키 파일 선택 다이얼로그 (어떤 파일이든 키 파일로 사용 가능)
+    ipcMain.handle("keyfile:select", async () => {
+        try {
+            const result = await dialog.showOpenDialog(mainWindow, {
+                properties: ["openFile"],
+            });
+            if (result.canceled) return { success: true, data: null };
+            return { success: true, data: result.filePaths[0] };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // 새 랜덤 키 파일 생성 후 경로 반환
+    ipcMain.handle("keyfile:generate", async () => {
+        try {
+            const result = await dialog.showSaveDialog(mainWindow, {
+                defaultPath: path.join(os.homedir(), "localkeys.keyfile"),
+            });
+            if (result.canceled || !result.filePath) return { success: true, data: null };
+            generateKeyfile(result.filePath);
+            return { success: true, data: result.filePath };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // 프로젝트 목록 가져오기
     ipcMain.handle("projects:get", () => {
         if (!isUnlocked) return { success: false, error: "Vault is locked" };
@@ -1123,8 +1364,9 @@ function setupIpcHandlers() {
     ipcMain.handle("secret:get", async (event, projectName, key) => {
         if (!isUnlocked) return { success: false, error: "Vault is locked" };
 
-        // 승인 다이얼로그 표시
-        const result = await showApprovalDialog(projectName, key);
+        // 승인 다이얼로그 표시 (CLI 요청과 같은 대기열 사용)
+        const result = await approvalQueue.request({ projectName, keys: [key], action: "read" });
+        logQueuedApproval(result, projectName, [key], "read");
 
         if (result.approved) {
             const value = getVault().getSecret(projectName, key);
@@ -1158,6 +1400,47 @@ function setupIpcHandlers() {
         }
     });
 
+    // 금고 스냅샷 목록 (활성 금고)
+    ipcMain.handle("backups:list", () => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            return { success: true, data: getVault().listSnapshots() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // 스냅샷과 현재 데이터 비교
+    ipcMain.handle("backups:diff", (event, snapshotId) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            return { success: true, data: getVault().getSnapshotDiff(snapshotId) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // 스냅샷 복원 (selectedIds가 없으면 금고 전체, 있으면 선택한 프로젝트/시크릿만)
+    ipcMain.handle("backups:restore", async (event, snapshotId, selectedIds) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            await getVault().restoreSnapshot(snapshotId, Array.isArray(selectedIds) ? selectedIds : null);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // 수동 스냅샷 생성
+    ipcMain.handle("backups:create", () => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            return { success: true, data: getVault().createSnapshot("manual") };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // 로그 가져오기
     ipcMain.handle("logs:get", () => {
         if (!isUnlocked) return { success: false, error: "Vault is locked" };
@@ -1175,6 +1458,72 @@ function setupIpcHandlers() {
         }
     });
 
+    // CLI 접근 토큰 목록 (해시 제외)
+    ipcMain.handle("tokens:list", () => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        return { success: true, data: vaultManager.getAccessTokens().map(publicTokenRecord) };
+    });
+
+    // 접근 토큰 생성 (원문 토큰은 이 응답에서 한 번만 반환)
+    ipcMain.handle("tokens:create", (event, options) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            const { token, record } = createAccessToken(options);
+            vaultManager.setAccessTokens([...vaultManager.getAccessTokens(), record]);
+            logger.logApp(`Created "${record.name}" access token (${record.access}, vault ${record.vault})`);
+            return { success: true, data: { token, record: publicTokenRecord(record) } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // 접근 토큰 폐기
+    ipcMain.handle("tokens:revoke", (event, id) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        const tokens = vaultManager.getAccessTokens();
+        const record = tokens.find((t) => t.id === id);
+        if (!record) return { success: false, error: "Token not found" };
+        vaultManager.setAccessTokens(tokens.filter((t) => t.id !== id));
+        logger.logApp(`Revoked "${record.name}" access token`);
+        return { success: true };
+    });
+
+    // 기억된 CLI 승인 목록
+    ipcMain.handle("approvals:list", () => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        return { success: true, data: approvalGrants.list() };
+    });
+
+    // 기억된 승인 취소 (id가 없으면 전부)
+    ipcMain.handle("approvals:revoke", (event, id) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        const grants = id ? approvalGrants.list().filter((grant) => grant.id === id) : approvalGrants.list();
+        for (const grant of grants) {
+            approvalGrants.revoke(grant.id);
+            logger.logAccess(`Remembered approval revoked (${grant.action})`, grant.projectName, grant.keys.join(", "));
+        }
+        return { success: true };
+    });
+
+    // CLI 접근 정책 목록
+    ipcMain.handle("policies:list", () => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        return { success: true, data: vaultManager.getAccessPolicies() };
+    });
+
+    // CLI 접근 정책 저장 (목록 전체를 검증 후 교체)
+    ipcMain.handle("policies:save", (event, policies) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            const normalized = normalizePolicies(policies);
+            vaultManager.setAccessPolicies(normalized);
+            logger.logApp(`Access policies updated (${normalized.length} rules)`);
+            return { success: true, data: normalized };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // 로그 JSON 내보내기
     ipcMain.handle("logs:export", async () => {
         if (!isUnlocked) return { success: false, error: "Vault is locked" };
@@ -1325,6 +1674,86 @@ function setupIpcHandlers() {
         return { success: false, cancelled: true };
     });
 
+    // 금고 전체 암호화 내보내기 (.lkbackup, 별도 내보내기 암호)
+    ipcMain.handle("bundle:export", async (event, passphrase) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+
+        const activeVault = vaultManager.getVaultList().find((v) => v.isActive);
+        const vaultName = activeVault ? activeVault.name : "vault";
+        const result = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: `localkeys-${vaultName}-${new Date().toISOString().split("T")[0]}.${BUNDLE_EXTENSION}`,
+            filters: [{ name: "LocalKeys Backup", extensions: [BUNDLE_EXTENSION] }],
+        });
+
+        if (!result.canceled && result.filePath) {
+            try {
+                const bundle = await createVaultBundle(getVault().exportData(), passphrase, { vaultName });
+                fs.writeFileSync(result.filePath, bundle, { mode: 0o600 });
+                try {
+                    if (os.platform() !== "win32") {
+                        fs.chmodSync(result.filePath, 0o600);
+                    }
+                } catch {}
+
+                logger.logApp(`Vault exported: ${vaultName} -> ${result.filePath}`);
+                return { success: true, path: result.filePath };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        }
+
+        return { success: false, cancelled: true };
+    });
+
+    // 가져올 .lkbackup 파일 선택
+    ipcMain.handle("bundle:selectFile", async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ["openFile"],
+            filters: [{ name: "LocalKeys Backup", extensions: [BUNDLE_EXTENSION] }],
+        });
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, cancelled: true };
+        }
+        return { success: true, path: result.filePaths[0] };
+    });
+
+    // 내보내기 파일 내용 미리보기 (현재 금고와 diff)
+    ipcMain.handle("bundle:preview", async (event, filePath, passphrase) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            const contents = await openVaultBundle(fs.readFileSync(filePath), passphrase);
+            const projects = Object.values(contents.vault.projects || {});
+            return {
+                success: true,
+                data: {
+                    exportedAt: contents.exportedAt,
+                    vaultName: contents.vaultName,
+                    projectCount: projects.length,
+                    secretCount: projects.reduce((sum, project) => sum + Object.keys(project?.secrets || {}).length, 0),
+                    diff: getVault().getImportDiff(contents.vault),
+                },
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // 내보내기 파일 가져오기 (options: { mode: "merge" | "new", conflicts })
+    ipcMain.handle("bundle:import", async (event, filePath, passphrase, options) => {
+        if (!isUnlocked) return { success: false, error: "Vault is locked" };
+        try {
+            const contents = await openVaultBundle(fs.readFileSync(filePath), passphrase);
+            const safeOptions = options && typeof options === "object" ? options : {};
+            const mode = safeOptions.mode === "new" ? "new" : "merge";
+            const result = await getVault().importData(contents.vault, { mode, conflicts: safeOptions.conflicts });
+
+            logger.logApp(`Vault imported (${mode}): ${filePath}`);
+            return { success: true, data: result };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // 화면 전환
     ipcMain.handle("navigate", (event, page) => {
         if (page === "dashboard" && isUnlocked) {
@@ -1889,6 +2318,14 @@ function setupIpcHandlers() {
             safeNewSettings.autoLock && typeof safeNewSettings.autoLock === "object" && !Array.isArray(safeNewSettings.autoLock)
                 ? safeNewSettings.autoLock
                 : {};
+        const safeNewBackups =
+            safeNewSettings.backups && typeof safeNewSettings.backups === "object" && !Array.isArray(safeNewSettings.backups)
+                ? safeNewSettings.backups
+                : {};
+        const safeNewApiProtection =
+            safeNewSettings.apiProtection && typeof safeNewSettings.apiProtection === "object" && !Array.isArray(safeNewSettings.apiProtection)
+                ? safeNewSettings.apiProtection
+                : {};
         const { normalized: mergedSettings } = normalizeSettings({
             ...currentSettings,
             ...safeNewSettings,
@@ -1896,6 +2333,14 @@ function setupIpcHandlers() {
                 ...currentSettings.autoLock,
                 ...safeNewAutoLock,
             },
+            backups: {
+                ...currentSettings.backups,
+                ...safeNewBackups,
+            },
+            apiProtection: {
+                ...currentSettings.apiProtection,
+                ...safeNewApiProtection,
+            },
         });
         const saveResult = saveSettings(mergedSettings);
 
@@ -1927,6 +2372,20 @@ function setupIpcHandlers() {
                 startVaultDiskSync();
             }
 
+            // 자동 스냅샷 정책 변경 처리
+            const backupsChanged =
+                mergedSettings.backups.enabled !== currentSettings.backups?.enabled ||
+                mergedSettings.backups.frequency !== currentSettings.backups?.frequency ||
+                mergedSettings.backups.maxSnapshots !== currentSettings.backups?.maxSnapshots;
+            if (backupsChanged && vaultManager) {
+                vaultManager.setBackupPolicy(mergedSettings.backups);
+            }
+
+            // CLI 요청 제한 설정 변경 처리 (실행 중인 서버에 바로 적용)
+            if (httpServer) {
+                httpServer.setProtection(mergedSettings.apiProtection);
+            }
+
             // 화면 캡처 방지 설정 변경 처리
             const screenCaptureChanged = mergedSettings.screenCaptureProtection !== currentSettings.screenCaptureProtection;
             if (screenCaptureChanged) {
@@ -1938,8 +2397,44 @@ function setupIpcHandlers() {
     });
 }
 
+// CLI 승인 요청: 기억된 승인이 있으면 다이얼로그 없이 허용, 없으면 다이얼로그 표시
+// request: { vaultName, projectName, keys, action, client, allowRemember } (allowRemember: 정책상 기억 허용 여부)
+async function requestApproval(request) {
+    const { projectName, keys, action, client, allowRemember } = request;
+    if (allowRemember && approvalGrants.find(request)) {
+        logger.logAccess(`Access approved (${action}, remembered)`, projectName, keys.join(", "), client);
+        return { approved: true };
+    }
+
+    const result = await approvalQueue.request(request);
+    logQueuedApproval(result, projectName, keys, action, client);
+    // 다이얼로그가 열린 사이 잠겼으면 기억하지 않음
+    if (allowRemember && result.approved && result.remember && isUnlocked) {
+        try {
+            // 일부 키만 승인했으면 승인한 키만 기억
+            approvalGrants.add({ ...request, keys: result.keys || keys }, result.remember);
+        } catch (error) {
+            console.error("Failed to remember approval:", error.message);
+        }
+    }
+    return result;
+}
+
+// 다이얼로그 없이 대기열에서 처리된 승인 요청 기록 (다이얼로그 응답은 showApprovalDialog에서 기록)
+function logQueuedApproval(result, projectName, keys, action, client) {
+    const labels = { merged: "same request", approveAll: "approve all pending", cancelled: result.reason === "Vault locked" ? "vault locked" : "request cancelled" };
+    if (!labels[result.via]) return;
+    logger.logAccess(`Access ${result.approved ? "approved" : "denied"} (${action}, ${labels[result.via]})`, projectName, keys.join(", "), client);
+}
+
 // 승인 다이얼로그 표시
-function showApprovalDialog(projectName, keys, action = "read") {
+// client: CLI 요청을 보낸 프로세스 정보 (식별하지 못했으면 null, 앱 내부 요청이면 undefined)
+// options.allowRemember: false면 기억 기간 선택을 표시하지 않음
+// options.write: 쓰기 요청의 변경 내용 (새 키/덮어쓰기, 마스킹된 이전·새 값, 만료일 변경)
+//   operation: 값 저장 외의 변경 ("delete" | "rename" | "restore" | "createProject" | "deleteProject")
+// options.queue: 승인 대기열 (대기 중인 요청 수 표시, "모두 승인" 선택 가능)
+// 읽기 요청의 키가 여러 개면 키별로 선택해 일부만 승인 가능 (결과의 keys: 승인한 키, 전체 승인이면 없음)
+function showApprovalDialog(projectName, keys, action = "read", client, options = {}) {
     return new Promise((resolve) => {
         let approvalWindow = null;
         let isResolved = false;
@@ -1951,6 +2446,22 @@ function showApprovalDialog(projectName, keys, action = "read") {
             keys = [keys];
         }
         action = action === "write" ? "write" : "read";
+        const allowRemember = client !== undefined && options.allowRemember !== false;
+        const queue = options.queue || null;
+        const write = action === "write" && options.write ? options.write : null;
+        const selectable = action === "read" && keys.length > 1;
+        // CLI 요청은 요청 프로세스 정보(식별 실패 시 한 행, 성공 시 네 행)와 기억 기간 선택만큼 높이 추가
+        // 키 선택 목록(최대 6줄까지 표시 후 스크롤)과 쓰기 변경 내용 행만큼 추가
+        // (변경 행 + 표시되는 이전 값·새 값·만료일 행)
+        const writeRows = write ? 1 + (write.oldValue ? 1 : 0) + (write.newValue ? 1 : 0) + (write.oldExpiresAt || write.newExpiresAt ? 1 : 0) : 0;
+        const baseHeight =
+            (client ? 470 : client === null ? 360 : 330) +
+            (allowRemember ? 50 : 0) +
+            (selectable ? (Math.min(keys.length, 6) - 1) * 24 : 0) +
+            writeRows * 32;
+        // 대기 중인 요청이 있으면 대기열 안내 행만큼 높이 추가
+        const dialogHeight = (status) => baseHeight + (status && (status.merged || status.waiting) ? 50 : 0);
+        let queueStatus = queue ? queue.getStatus() : null;
 
         const cleanup = () => {
             if (channelName && responseHandler) {
@@ -1974,7 +2485,7 @@ function showApprovalDialog(projectName, keys, action = "read") {
         try {
             approvalWindow = new BrowserWindow({
                 width: 450,
-                height: 330,
+                height: dialogHeight(queueStatus),
                 parent: mainWindow,
                 modal: true,
                 frame: false,
@@ -1998,15 +2509,27 @@ function showApprovalDialog(projectName, keys, action = "read") {
             // 간단한 IPC 핸들러 사용
             channelName = `approval-response-${crypto.randomBytes(16).toString("hex")}`;
 
-            responseHandler = (event, approved) => {
+            // response.remember: 다시 묻지 않을 기간 ("15m" | "session" | "lock", CLI 요청일 때만)
+            // response.approveAll: 같은 프로젝트의 대기 중인 요청도 함께 승인
+            // response.keys: 선택한 키 (키 선택 목록을 표시한 경우)
+            responseHandler = (event, approved, response = {}) => {
                 if (!approvalWindow || approvalWindow.isDestroyed()) return;
                 if (event?.sender?.id !== approvalWindow.webContents.id) return;
                 const keysString = keys.join(", ");
-                if (approved) {
-                    logger.logAccess(`Access approved (${action})`, projectName, keysString);
-                    doResolve({ approved: true });
+                const selected = selectable && Array.isArray(response?.keys) ? keys.filter((key) => response.keys.includes(key)) : keys;
+                if (approved && selected.length > 0) {
+                    const partial = selected.length < keys.length;
+                    const scope = allowRemember && typeof response.remember === "string" ? response.remember : null;
+                    const all = Boolean(queue && response.approveAll) && !partial;
+                    const details = [action, scope ? `remember ${scope}` : null, all ? "approve all pending" : null].filter(Boolean).join(", ");
+                    logger.logAccess(`Access approved (${details})`, projectName, selected.join(", "), client);
+                    if (partial) {
+                        const rejected = keys.filter((key) => !selected.includes(key));
+                        logger.logAccess(`Access denied (${action}, not selected)`, projectName, rejected.join(", "), client);
+                    }
+                    doResolve({ approved: true, remember: scope, approveAll: all, keys: partial ? selected : undefined });
                 } else {
-                    logger.logAccess(`Access denied (${action})`, projectName, keysString);
+                    logger.logAccess(`Access denied (${action})`, projectName, keysString, client);
                     doResolve({ approved: false, reason: "User denied" });
                 }
             };
@@ -2028,14 +2551,34 @@ function showApprovalDialog(projectName, keys, action = "read") {
             approvalWindow.on("close", () => {
                 if (!isResolved) {
                     const keysString = keys.join(", ");
-                    logger.logAccess(`Access denied (${action})`, projectName, keysString);
+                    logger.logAccess(`Access denied (${action})`, projectName, keysString, client);
                     doResolve({ approved: false, reason: "Dialog closed" });
                 }
             });
 
             // 프로젝트명과 키 목록 전달
             approvalWindow.webContents.once("did-finish-load", () => {
-                approvalWindow.webContents.send("approval:data", { projectName, keys, channel: channelName, action });
+                approvalWindow.webContents.send("approval:data", {
+                    projectName,
+                    keys,
+                    channel: channelName,
+                    action,
+                    client,
+                    allowRemember,
+                    selectable,
+                    write,
+                    queue: queueStatus,
+                });
+            });
+
+            // 다이얼로그가 열린 동안 들어온 요청 수 반영
+            queue?.onUpdate((status) => {
+                if (!approvalWindow || approvalWindow.isDestroyed()) return;
+                if (dialogHeight(status) !== dialogHeight(queueStatus)) {
+                    approvalWindow.setSize(450, dialogHeight(status));
+                }
+                queueStatus = status;
+                approvalWindow.webContents.send("approval:queue", status);
             });
 
             // 창 로드 에러 처리
@@ -2139,12 +2682,20 @@ app.whenReady().then(async () => {
 
     initializeApp();
 
+    // 같은 금고 파일을 쓰는 다른 앱·에이전트가 실행 중이면 종료
+    if (!(await claimInstanceLock())) {
+        app.exit(0);
+        return;
+    }
+    process.on("exit", releaseInstanceLock);
+
     // 네이티브 메뉴 구성
     buildAppMenu();
 
     createWindow();
     setupIpcHandlers();
     attachVaultConflictNotifier();
+    attachVaultChangeNotifier();
 
     // HTTP 서버 시작
     await ensureHttpServerStarted();
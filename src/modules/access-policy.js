@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+
+// CLI 접근 정책: 승인 다이얼로그 전에 평가하는 규칙 (vaults.enc에 시스템 금고 키로 암호화 저장)
+// 규칙: { id, name, enabled, effect, vault, project, action, executable, cwd }
+// - effect: "allow"(자동 허용) | "ask"(항상 다이얼로그, 기억된 승인 무시) | "deny"(자동 거부)
+// - 조건(vault, project, action, executable, cwd): null이면 모두 일치
+//   executable은 실행 파일 경로 일치, cwd는 해당 디렉터리 또는 그 하위에서 실행된 경우 일치
+//   실행 파일·디렉터리 조건은 요청 프로세스를 식별한 경우에만 일치 (Linux)
+// 여러 규칙이 일치하면 더 제한적인 효과가 우선 (deny > ask > allow)
+const EFFECTS = ["allow", "ask", "deny"];
+const EFFECT_PRIORITY = { allow: 1, ask: 2, deny: 3 };
+const ACTIONS = ["read", "write"];
+const MAX_POLICIES = 200;
+const MAX_FIELD_LENGTH = 1000;
+
+// 저장 전 규칙 목록 검증 (잘못된 규칙이 있으면 전체 거부)
+function normalizePolicies(policies) {
+    if (!Array.isArray(policies)) throw new Error("Policies must be a list");
+    if (policies.length > MAX_POLICIES) throw new Error(`Too many policies (max ${MAX_POLICIES})`);
+    return policies.map(normalizePolicy);
+}
+
+function normalizePolicy(input) {
+    if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("Invalid policy");
+
+    const name = optionalString(input.name, "name");
+    if (!name) throw new Error("Policy name is required");
+    if (name.length > 100) throw new Error("Policy name is too long (max 100 characters)");
+    if (!EFFECTS.includes(input.effect)) throw new Error(`Invalid policy effect: ${input.effect}`);
+
+    const action = input.action ?? null;
+    if (action !== null && !ACTIONS.includes(action)) throw new Error(`Invalid policy action: ${action}`);
+
+    const executable = optionalString(input.executable, "executable");
+    const cwd = optionalString(input.cwd, "cwd");
+    for (const value of [executable, cwd]) {
+        if (value && !path.isAbsolute(expandHome(value))) throw new Error(`Policy paths must be absolute: ${value}`);
+    }
+
+    return {
+        id: typeof input.id === "string" && /^[a-f0-9]{16}$/.test(input.id) ? input.id : crypto.randomBytes(8).toString("hex"),
+        name,
+        enabled: input.enabled !== false,
+        effect: input.effect,
+        vault: optionalString(input.vault, "vault"),
+        project: optionalString(input.project, "project"),
+        action,
+        executable,
+        cwd,
+    };
+}
+
+// request: { vaultName, projectName, action, client } -> 적용할 규칙 (없으면 null)
+function evaluatePolicies(policies, request) {
+    let matched = null;
+    for (const policy of Array.isArray(policies) ? policies : []) {
+        if (!policy || !policy.enabled || !policyMatches(policy, request)) continue;
+        if (!matched || EFFECT_PRIORITY[policy.effect] > EFFECT_PRIORITY[matched.effect]) {
+            matched = policy;
+        }
+    }
+    return matched;
+}
+
+function policyMatches(policy, request) {
+    if (policy.vault && policy.vault !== request.vaultName) return false;
+    if (policy.project && policy.project !== request.projectName) return false;
+    if (policy.action && policy.action !== request.action) return false;
+
+    const client = request.client || null;
+    if (policy.executable && (!client?.exe || path.resolve(expandHome(policy.executable)) !== client.exe)) return false;
+    if (policy.cwd) {
+        if (!client?.cwd) return false;
+        const base = path.resolve(expandHome(policy.cwd));
+        if (client.cwd !== base && !client.cwd.startsWith(base.endsWith(path.sep) ? base : base + path.sep)) return false;
+    }
+    return true;
+}
+
+function optionalString(value, field) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== "string") throw new Error(`Invalid policy ${field}`);
+    const trimmed = value.trim();
+    if (trimmed.length > MAX_FIELD_LENGTH) throw new Error(`Policy ${field} is too long`);
+    return trimmed || null;
+}
+
+function expandHome(value) {
+    if (value === "~") return os.homedir();
+    if (value.startsWith("~/")) return path.join(os.homedir(), value.slice(2));
+    return value;
+}
+
+module.exports = {
+    normalizePolicies,
+    evaluatePolicies,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+
+// 접근 토큰: 사람이 승인할 수 없는 자동화(테스트 러너, 백그라운드 작업)용 장기 자격 증명
+// 형식: lkt_<id>_<secret> -> vaults.enc에는 secret의 SHA-256만 저장 (원문은 생성 시 한 번만 표시)
+// 범위: 금고 하나 + 프로젝트 패턴 + 키 패턴 + 권한("read" | "readwrite"), 선택적 만료 시각
+// 패턴은 *를 와일드카드로 사용 (예: "myapp-*", "DATABASE_*")
+const TOKEN_PREFIX = "lkt_";
+const TOKEN_PATTERN = /^lkt_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const ACCESS_LEVELS = ["read", "readwrite"];
+const MAX_PATTERNS = 50;
+
+// 새 토큰 생성 -> { token(원문), record(저장용) }
+function createAccessToken(options, now = Date.now()) {
+    const normalized = normalizeTokenOptions(options, now);
+    const id = crypto.randomBytes(8).toString("hex");
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const record = {
+        id,
+        ...normalized,
+        secretHash: hashSecret(secret),
+        createdAt: new Date(now).toISOString(),
+        lastUsedAt: null,
+    };
+    return { token: `${TOKEN_PREFIX}${id}_${secret}`, record };
+}
+
+function normalizeTokenOptions(options, now = Date.now()) {
+    if (!options || typeof options !== "object") throw new Error("Invalid token options");
+
+    const name = typeof options.name === "string" ? options.name.trim() : "";
+    if (!name) throw new Error("Token name is required");
+    if (name.length > 100) throw new Error("Token name is too long (max 100 characters)");
+
+    const vault = typeof options.vault === "string" ? options.vault.trim() : "";
+    if (!vault) throw new Error("Token vault is required");
+
+    const projects = normalizePatterns(options.projects, "project");
+    if (projects.length === 0) throw new Error("At least one project is required");
+    const keyPatterns = normalizePatterns(options.keyPatterns ?? ["*"], "key");
+    if (keyPatterns.length === 0) throw new Error("At least one key pattern is required");
+
+    if (!ACCESS_LEVELS.includes(options.access)) throw new Error(`Invalid token access: ${options.access}`);
+
+    let expiresAt = null;
+    if (options.expiresAt !== undefined && options.expiresAt !== null) {
+        const time = Date.parse(options.expiresAt);
+        if (!Number.isFinite(time)) throw new Error("Invalid token expiry");
+        if (time <= now) throw new Error("Token expiry must be in the future");
+        expiresAt = new Date(time).toISOString();
+    }
+
+    return { name, vault, projects, keyPatterns, access: options.access, expiresAt };
+}
+
+function normalizePatterns(value, label) {
+    if (!Array.isArray(value)) throw new Error(`Invalid ${label} patterns`);
+    const patterns = [...new Set(value.filter((p) => typeof p === "string").map((p) => p.trim()).filter(Boolean))];
+    if (patterns.length > MAX_PATTERNS) throw new Error(`Too many ${label} patterns (max ${MAX_PATTERNS})`);
+    return patterns;
+}
+
+function isAccessToken(value) {
+    return typeof value === "string" && value.startsWith(TOKEN_PREFIX);
+}
+
+// 토큰 원문의 ID 부분 (형식이 맞지 않으면 null, 레코드 존재·비밀 값은 확인하지 않음)
+function accessTokenIdOf(presented) {
+    const match = TOKEN_PATTERN.exec(presented);
+    return match ? match[1] : null;
+}
+
+// 제시된 토큰 원문과 일치하고 만료되지 않은 레코드 반환 (없으면 null)
+function findAccessToken(records, presented, now = Date.now()) {
+    const match = TOKEN_PATTERN.exec(presented);
+    if (!match) return null;
+    const record = (Array.isArray(records) ? records : []).find((r) => r.id === match[1]);
+    if (!record) return null;
+
+    const expected = Buffer.from(record.secretHash, "hex");
+    const received = Buffer.from(hashSecret(match[2]), "hex");
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now) return null;
+    return record;
+}
+
+function tokenAllowsProject(record, projectName) {
+    return typeof projectName === "string" && record.projects.some((pattern) => matchesPattern(pattern, projectName));
+}
+
+function tokenAllowsKey(record, key) {
+    return typeof key === "string" && record.keyPatterns.some((pattern) => matchesPattern(pattern, key));
+}
+
+// request: { vaultName, projectName, keys, action }
+function tokenAllows(record, request) {
+    if (request.vaultName !== record.vault) return false;
+    if (request.action === "write" && record.access !== "readwrite") return false;
+    if (!tokenAllowsProject(record, request.projectName)) return false;
+    return request.keys.every((key) => tokenAllowsKey(record, key));
+}
+
+// 화면·로그용 (secretHash 제외)
+function publicTokenRecord(record) {
+    const { secretHash: _hash, ...rest } = record;
+    return { ...rest, projects: [...record.projects], keyPatterns: [...record.keyPatterns] };
+}
+
+function matchesPattern(pattern, value) {
+    if (pattern === "*") return true;
+    if (!pattern.includes("*")) return pattern === value;
+    const source = pattern
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return new RegExp(`^${source}$`).test(value);
+}
+
+function hashSecret(secret) {
+    return crypto.createHash("sha256").update(secret, "utf8").digest("hex");
+}
+
+module.exports = {
+    createAccessToken,
+    isAccessToken,
+    accessTokenIdOf,
+    findAccessToken,
+    tokenAllows,
+    tokenAllowsProject,
+    tokenAllowsKey,
+    publicTokenRecord,
+};
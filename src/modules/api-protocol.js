@@ -0,0 +1,39 @@
+// 로컬 API(CLI ↔ 앱) 프로토콜
+// - PROTOCOL_VERSION: 요청·응답 형식이 호환되지 않게 바뀔 때만 올림
+//   (액션·기능 추가는 버전을 올리지 않고 status의 actions/features로 확인)
+// - MIN_CLIENT_PROTOCOL_VERSION: 이 앱이 처리할 수 있는 가장 오래된 CLI 프로토콜
+//   (버전 1: status에 프로토콜 정보가 없던 CLI, 요청 형식은 같으므로 계속 처리)
+const PROTOCOL_VERSION = 2;
+const MIN_CLIENT_PROTOCOL_VERSION = 1;
+
+// 실패 응답의 code (error는 사람이 읽는 메시지, 클라이언트는 code로 분기)
+const ERROR_CODES = {
+    LOCKED: "locked", // 앱 또는 금고가 잠김
+    DENIED: "denied", // 승인 거부, 정책·토큰 범위 밖
+    NOT_FOUND: "not_found", // 금고·프로젝트·시크릿 없음
+    INVALID: "invalid", // 잘못된 요청 (알 수 없는 액션, 형식 오류 등)
+    UNAUTHORIZED: "unauthorized", // 인증 토큰 없음·불일치·만료
+    RATE_LIMITED: "rate_limited", // 요청이 너무 많음 (HTTP 429, Retry-After 헤더)
+    INTERNAL: "internal", // 그 밖의 앱 오류
+};
+
+function apiError(code, message) {
+    return { success: false, error: message, code };
+}
+
+// 모듈에서 던진 오류를 응답 code로 분류 (메시지 형식은 vault.js / vault-manager.js 기준)
+function errorCodeFor(error) {
+    const message = typeof error?.message === "string" ? error.message : "";
+    if (/is locked|is not unlocked/i.test(message)) return ERROR_CODES.LOCKED;
+    if (/does not exist|not found/i.test(message)) return ERROR_CODES.NOT_FOUND;
+    if (/^Invalid|cannot be empty|already exists|is required|too large/i.test(message)) return ERROR_CODES.INVALID;
+    return ERROR_CODES.INTERNAL;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_CLIENT_PROTOCOL_VERSION,
+    ERROR_CODES,
+    apiError,
+    errorCodeFor,
+};
@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const { isSessionAlive } = require("./process-info");
+
+// 기억된 승인: 같은 CLI 요청이 반복될 때 승인 다이얼로그 없이 허용
+// 메인 프로세스 메모리에만 보관하고 금고를 잠그면 모두 삭제
+// 범위: 금고 + 프로젝트 + 작업 + 키 목록(요청한 키가 모두 포함될 때) + 요청 실행 파일(승인 당시 확인된 경우)
+// 기간:
+// - "15m": 15분 동안
+// - "session": 요청한 터미널 세션(세션 리더 프로세스)이 끝날 때까지, 같은 세션의 요청에만 적용
+// - "lock": 금고를 잠글 때까지
+const GRANT_SCOPES = ["15m", "session", "lock"];
+const TIMED_GRANT_MS = 15 * 60 * 1000;
+
+class ApprovalGrants {
+    constructor() {
+        this.grants = new Map();
+    }
+
+    // request: { vaultName, projectName, keys, action, client }
+    add(request, scope, now = Date.now()) {
+        if (!GRANT_SCOPES.includes(scope)) throw new Error("Invalid approval scope");
+        const client = request.client || null;
+        if (scope === "session" && !client?.sessionId) {
+            throw new Error("The requesting terminal session could not be identified");
+        }
+
+        const grant = {
+            id: crypto.randomBytes(8).toString("hex"),
+            vaultName: request.vaultName,
+            projectName: request.projectName,
+            keys: [...new Set(request.keys)].sort(),
+            action: request.action,
+            exe: client?.exe || null,
+            sessionId: scope === "session" ? client.sessionId : null,
+            scope,
+            createdAt: now,
+            expiresAt: scope === "15m" ? now + TIMED_GRANT_MS : null,
+        };
+        this.grants.set(grant.id, grant);
+        return { ...grant };
+    }
+
+    // 요청을 허용하는 유효한 승인이 있으면 반환
+    find(request, now = Date.now()) {
+        this._prune(now);
+        const client = request.client || null;
+        for (const grant of this.grants.values()) {
+            if (grant.vaultName !== request.vaultName) continue;
+            if (grant.projectName !== request.projectName || grant.action !== request.action) continue;
+            if (grant.exe && grant.exe !== client?.exe) continue;
+            if (grant.sessionId && grant.sessionId !== client?.sessionId) continue;
+            if (!request.keys.every((key) => grant.keys.includes(key))) continue;
+            return { ...grant };
+        }
+        return null;
+    }
+
+    list(now = Date.now()) {
+        this._prune(now);
+        return Array.from(this.grants.values(), (grant) => ({ ...grant }));
+    }
+
+    revoke(id) {
+        return this.grants.delete(id);
+    }
+
+    clear() {
+        this.grants.clear();
+    }
+
+    // 만료된 승인과 끝난 세션의 승인 정리
+    _prune(now) {
+        for (const [id, grant] of this.grants) {
+            if (grant.expiresAt && grant.expiresAt <= now) {
+                this.grants.delete(id);
+            } else if (grant.sessionId && !isSessionAlive(grant.sessionId)) {
+                this.grants.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = ApprovalGrants;
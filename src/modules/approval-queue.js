@@ -0,0 +1,164 @@
+// 승인 대기열: 동시에 들어온 승인 요청을 다이얼로그 하나씩 차례로 표시
+// - 금고·프로젝트·작업·키 목록과 요청 프로그램이 같은 읽기 요청은 하나로 합쳐 한 번의 응답으로 모두 처리
+//   (다이얼로그에는 첫 요청의 프로세스만 표시되므로 다른 프로그램의 요청은 합치지 않음)
+// - "대기 중인 요청 모두 승인": 같은 금고·프로젝트의 대기 요청을 함께 승인
+//   (정책상 항상 물어야 하는 요청(allowRemember: false)과 변경 내용을 확인해야 하는 쓰기 요청은 제외하고 각각 다이얼로그 표시)
+// 다이얼로그가 아닌 방식으로 처리된 결과에는 via를 붙임
+// - "merged": 같은 요청의 다이얼로그 응답을 공유
+// - "approveAll": 다른 요청의 다이얼로그에서 모두 승인
+// - "cancelled": 다이얼로그를 표시하기 전에 취소 (금고 잠금, 요청 연결 끊김)
+class ApprovalQueue {
+    // showDialog(request, queue) -> Promise<{ approved, remember?, approveAll?, reason? }>
+    // queue: { getStatus() -> 대기 상태, onUpdate(listener) -> 대기 상태가 바뀔 때 호출 }
+    constructor(showDialog) {
+        this.showDialog = showDialog;
+        this.entries = [];
+        this.active = null;
+        this.updateListener = null;
+    }
+
+    // request: { vaultName, projectName, keys, action, client, allowRemember, write?, isAbandoned? }
+    request(request) {
+        return new Promise((resolve) => {
+            const key = this._mergeKey(request);
+            const existing = key && [this.active, ...this.entries].find((entry) => entry && entry.key === key);
+            if (existing) {
+                existing.waiters.push({ request, resolve });
+            } else {
+                this.entries.push({ key, request, waiters: [{ request, resolve }] });
+            }
+            this._notify();
+            this._next();
+        });
+    }
+
+    // 현재 다이얼로그 기준 대기 상태
+    // - merged: 현재 다이얼로그에 합쳐진 같은 요청 수
+    // - waiting: 다음에 표시할 다이얼로그 수
+    // - sameProject: "모두 승인"으로 함께 승인할 수 있는 대기 요청 수
+    getStatus() {
+        const active = this.active;
+        const sameProject = active ? this.entries.filter((entry) => this._canApproveWith(active, entry)) : [];
+        return {
+            merged: active ? active.waiters.length - 1 : 0,
+            waiting: this.entries.length,
+            sameProject: sameProject.reduce((sum, entry) => sum + entry.waiters.filter((waiter) => !isAbandoned(waiter)).length, 0),
+        };
+    }
+
+    // 아직 표시하지 않은 요청 모두 거부 (현재 다이얼로그는 그대로 둠)
+    cancelPending(reason) {
+        const entries = this.entries.splice(0);
+        for (const entry of entries) {
+            this._resolveEntry(entry, { approved: false, reason, via: "cancelled" });
+        }
+        if (entries.length > 0) this._notify();
+    }
+
+    async _next() {
+        if (this.active) return;
+        const entry = this._takeNext();
+        if (!entry) return;
+
+        this.active = entry;
+        let result;
+        try {
+            result = await this.showDialog(entry.request, {
+                getStatus: () => this.getStatus(),
+                onUpdate: (listener) => {
+                    this.updateListener = listener;
+                },
+            });
+        } catch (error) {
+            result = { approved: false, reason: `Error: ${error.message}` };
+        }
+        this.active = null;
+        this.updateListener = null;
+
+        const [first, ...rest] = entry.waiters;
+        first.resolve(result);
+        // 기억 기간은 다이얼로그를 띄운 요청에만 적용
+        for (const waiter of rest) {
+            waiter.resolve({ approved: result.approved, reason: result.reason, keys: result.keys, via: "merged" });
+        }
+
+        if (result.approved && result.approveAll) {
+            const approved = this.entries.filter((other) => this._canApproveWith(entry, other));
+            this.entries = this.entries.filter((other) => !approved.includes(other));
+            for (const other of approved) {
+                this._dropAbandoned(other);
+                this._resolveEntry(other, { approved: true, via: "approveAll" });
+            }
+        }
+
+        this._next();
+    }
+
+    // 연결이 끊긴 요청은 건너뛰고 다음 항목 반환
+    _takeNext() {
+        while (this.entries.length > 0) {
+            const entry = this.entries.shift();
+            this._dropAbandoned(entry);
+            if (entry.waiters.length > 0) {
+                entry.request = entry.waiters[0].request;
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    _dropAbandoned(entry) {
+        const abandoned = entry.waiters.filter(isAbandoned);
+        for (const waiter of abandoned) {
+            waiter.resolve({ approved: false, reason: "Request cancelled", via: "cancelled" });
+        }
+        entry.waiters = entry.waiters.filter((waiter) => !abandoned.includes(waiter));
+    }
+
+    _resolveEntry(entry, result) {
+        for (const waiter of entry.waiters) {
+            waiter.resolve(result);
+        }
+    }
+
+    _canApproveWith(active, entry) {
+        return (
+            entry.request.vaultName === active.request.vaultName &&
+            entry.request.projectName === active.request.projectName &&
+            entry.request.allowRemember !== false &&
+            entry.request.action !== "write"
+        );
+    }
+
+    // 쓰기 요청은 값마다 따로 확인해야 하므로 합치지 않음 (null)
+    // 요청 프로그램: 실행 파일과 부모 프로세스가 같으면 같은 셸·스크립트에서 병렬 실행한 것으로 봄
+    // 요청 프로세스를 확인할 수 없으면 누가 보냈는지 구분할 수 없으므로 합치지 않음
+    _mergeKey(request) {
+        if (request.action === "write" || !request.client) return null;
+        const client = request.client;
+        const owner = client.parent || client;
+        const keys = [...new Set(request.keys)].sort();
+        return JSON.stringify([
+            request.vaultName ?? null,
+            request.projectName,
+            request.action,
+            keys,
+            request.allowRemember !== false,
+            client.exe || client.name || null,
+            owner.pid,
+        ]);
+    }
+
+    _notify() {
+        if (!this.updateListener) return;
+        try {
+            this.updateListener(this.getStatus());
+        } catch {}
+    }
+}
+
+function isAbandoned(waiter) {
+    return Boolean(waiter.request.isAbandoned?.());
+}
+
+module.exports = ApprovalQueue;
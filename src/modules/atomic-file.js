@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// 암호화 저장소(vault.enc, vaults.enc, logs.enc) 공용 원자적 파일 쓰기
+// 같은 폴더의 임시 파일에 쓰고 fsync한 뒤 rename하므로, 쓰는 도중 종료되어도 원본은 온전히 남음
+// 본 파일을 바꾸기 직전에 기존 파일을 <파일>.bak으로 옮겨 둠 (본 파일이 손상되었거나 잘못 쓰였을 때 쓰는 직전 버전)
+// 호출하는 쪽은 기존 파일이 정상(복호화 가능)일 때만 backup을 켜야 함 (복구·초기화 저장은 backup: false)
+
+const BACKUP_SUFFIX = ".bak";
+// Windows/공유 폴더에서 다른 프로세스(동기화 클라이언트 등)가 파일을 잡고 있으면 rename이 잠시 실패함
+const RENAME_RETRY_CODES = new Set(["EPERM", "EACCES", "EBUSY"]);
+const RENAME_RETRY_COUNT = 5;
+// 다른 컴퓨터의 rename이 동기화되는 순간 파일이 잠깐 보이지 않을 수 있음
+const READ_RETRY_COUNT = 3;
+const RETRY_DELAY_MS = 50;
+
+function backupPathOf(filePath) {
+    return filePath + BACKUP_SUFFIX;
+}
+
+function tempPathOf(filePath) {
+    return `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+}
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function unlinkQuietly(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch {}
+}
+
+// rename 결과를 디스크에 반영 (Windows는 디렉터리 fsync 미지원)
+function fsyncDirSync(dirPath) {
+    if (process.platform === "win32") return;
+    try {
+        const fd = fs.openSync(dirPath, "r");
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch {}
+}
+
+function renameWithRetrySync(from, to) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            fs.renameSync(from, to);
+            return;
+        } catch (error) {
+            if (!RENAME_RETRY_CODES.has(error.code) || attempt >= RENAME_RETRY_COUNT) throw error;
+            sleepSync(RETRY_DELAY_MS * (attempt + 1));
+        }
+    }
+}
+
+async function renameWithRetry(from, to) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await fs.promises.rename(from, to);
+            return;
+        } catch (error) {
+            if (!RENAME_RETRY_CODES.has(error.code) || attempt >= RENAME_RETRY_COUNT) throw error;
+            await sleep(RETRY_DELAY_MS * (attempt + 1));
+        }
+    }
+}
+
+// 바꾸기 전의 본 파일을 .bak으로 복사 (fsync 후 rename, 본 파일은 새 내용으로 rename될 때까지 그대로 둠)
+// 실패해도 본 저장은 계속 진행하고 로그만 남김
+function rotateBackupSync(filePath, mode) {
+    let previous;
+    try {
+        previous = fs.readFileSync(filePath);
+    } catch (error) {
+        if (error.code !== "ENOENT") console.error("Failed to keep backup copy:", error.message);
+        return;
+    }
+
+    const backupPath = backupPathOf(filePath);
+    const tempPath = tempPathOf(backupPath);
+    let fd = null;
+    try {
+        fd = fs.openSync(tempPath, "w", mode);
+        fs.writeFileSync(fd, previous);
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+        renameWithRetrySync(tempPath, backupPath);
+        try {
+            fs.chmodSync(backupPath, mode);
+        } catch {}
+        fsyncDirSync(path.dirname(backupPath));
+    } catch (error) {
+        if (fd !== null) {
+            try {
+                fs.closeSync(fd);
+            } catch {}
+        }
+        unlinkQuietly(tempPath);
+        console.error("Failed to keep backup copy:", error.message);
+    }
+}
+
+// options.mode: 파일 권한 (기본 0600), options.backup: false면 기존 파일을 .bak으로 옮기지 않음
+function writeFileAtomicSync(filePath, data, options = {}) {
+    const mode = options.mode ?? 0o600;
+    const tempPath = tempPathOf(filePath);
+    let fd = null;
+
+    try {
+        fd = fs.openSync(tempPath, "w", mode);
+        fs.writeFileSync(fd, data);
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+
+        if (options.backup !== false) rotateBackupSync(filePath, mode);
+        renameWithRetrySync(tempPath, filePath);
+    } catch (error) {
+        if (fd !== null) {
+            try {
+                fs.closeSync(fd);
+            } catch {}
+        }
+        unlinkQuietly(tempPath);
+        throw error;
+    }
+
+    try {
+        fs.chmodSync(filePath, mode);
+    } catch {}
+    fsyncDirSync(path.dirname(filePath));
+}
+
+async function writeFileAtomic(filePath, data, options = {}) {
+    const mode = options.mode ?? 0o600;
+    const tempPath = tempPathOf(filePath);
+    let handle = null;
+
+    try {
+        handle = await fs.promises.open(tempPath, "w", mode);
+        await handle.writeFile(data);
+        await handle.sync();
+        await handle.close();
+        handle = null;
+
+        if (options.backup !== false) rotateBackupSync(filePath, mode);
+        await renameWithRetry(tempPath, filePath);
+    } catch (error) {
+        if (handle !== null) {
+            await handle.close().catch(() => {});
+        }
+        unlinkQuietly(tempPath);
+        throw error;
+    }
+
+    try {
+        fs.chmodSync(filePath, mode);
+    } catch {}
+    fsyncDirSync(path.dirname(filePath));
+}
+
+// 파일 읽기 (rename 도중 잠깐 사라진 경우 짧게 재시도)
+function readFileWithRetrySync(filePath) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return fs.readFileSync(filePath);
+        } catch (error) {
+            if (error.code !== "ENOENT" || attempt >= READ_RETRY_COUNT) throw error;
+            sleepSync(RETRY_DELAY_MS);
+        }
+    }
+}
+
+// 직전 버전(.bak) 읽기 (없으면 null)
+function readBackupSync(filePath) {
+    try {
+        return fs.readFileSync(backupPathOf(filePath));
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeFileAtomicSync,
+    readFileWithRetrySync,
+    readBackupSync,
+    backupPathOf,
+};
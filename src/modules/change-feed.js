@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+
+// 금고 변경 이벤트: 변경 전후의 프로젝트·시크릿 목록을 비교해 이벤트 생성
+// 이벤트에는 이름만 포함 (값은 실행마다 새로 만든 키의 HMAC으로만 메모리에 보관하고 내보내지 않음)
+// 이벤트: { type, vault, project, key?, time }
+// - type: "project.created" | "project.deleted" | "secret.created" | "secret.updated" | "secret.deleted"
+// 여러 변경이 연달아 일어나면(가져오기, 병합 등) 잠시 모아서 한 번에 비교
+const COALESCE_MS = 100;
+
+class ChangeFeed {
+    constructor() {
+        this.snapshots = new Map(); // vaultId -> Map(project -> Map(key -> fingerprint))
+        this.timers = new Map(); // vaultId -> 대기 중인 비교 타이머
+        this.listeners = new Set();
+        this.hashKey = crypto.randomBytes(32);
+    }
+
+    // listener(event) 등록, 해제 함수 반환
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // 금고를 연 직후의 상태를 기준으로 저장 (이벤트 없음)
+    reset(vaultId, vault) {
+        this._cancel(vaultId);
+        this.snapshots.set(vaultId, snapshotOf(vault, this.hashKey));
+    }
+
+    // 변경 알림: 잠시 후 기준 상태와 비교해 이벤트 발생
+    changed(vaultId, vaultName, vault) {
+        this._cancel(vaultId);
+        const timer = setTimeout(() => {
+            this.timers.delete(vaultId);
+            this._diff(vaultId, vaultName, vault);
+        }, COALESCE_MS);
+        timer.unref?.();
+        this.timers.set(vaultId, timer);
+    }
+
+    // 잠긴 금고의 기준 상태 삭제
+    forget(vaultId) {
+        this._cancel(vaultId);
+        this.snapshots.delete(vaultId);
+    }
+
+    clear() {
+        for (const vaultId of [...this.timers.keys()]) this._cancel(vaultId);
+        this.snapshots.clear();
+    }
+
+    _cancel(vaultId) {
+        const timer = this.timers.get(vaultId);
+        if (timer) clearTimeout(timer);
+        this.timers.delete(vaultId);
+    }
+
+    _diff(vaultId, vaultName, vault) {
+        const before = this.snapshots.get(vaultId);
+        if (!before || vault.isLocked) return;
+        const after = snapshotOf(vault, this.hashKey);
+        this.snapshots.set(vaultId, after);
+
+        for (const [project, secrets] of after) {
+            const previous = before.get(project);
+            if (!previous) this._emit("project.created", vaultName, project);
+            for (const [key, fingerprint] of secrets) {
+                if (!previous || !previous.has(key)) {
+                    this._emit("secret.created", vaultName, project, key);
+                } else if (previous.get(key) !== fingerprint) {
+                    this._emit("secret.updated", vaultName, project, key);
+                }
+            }
+            for (const key of previous ? previous.keys() : []) {
+                if (!secrets.has(key)) this._emit("secret.deleted", vaultName, project, key);
+            }
+        }
+        for (const [project, secrets] of before) {
+            if (after.has(project)) continue;
+            for (const key of secrets.keys()) this._emit("secret.deleted", vaultName, project, key);
+            this._emit("project.deleted", vaultName, project);
+        }
+    }
+
+    _emit(type, vault, project, key) {
+        const event = { type, vault, project, ...(key !== undefined ? { key } : {}), time: new Date().toISOString() };
+        for (const listener of this.listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error("Change listener failed:", error?.message || error);
+            }
+        }
+    }
+}
+
+// project -> key -> 값·만료일 HMAC
+function snapshotOf(vault, hashKey) {
+    const snapshot = new Map();
+    if (!vault || vault.isLocked) return snapshot;
+    for (const { name } of vault.getProjects()) {
+        const secrets = new Map();
+        for (const [key, secret] of Object.entries(vault.getSecrets(name))) {
+            secrets.set(key, fingerprint(secret, hashKey));
+        }
+        snapshot.set(name, secrets);
+    }
+    return snapshot;
+}
+
+function fingerprint(secret, hashKey) {
+    return crypto
+        .createHmac("sha256", hashKey)
+        .update(JSON.stringify([secret.value ?? null, secret.expiresAt ?? null]))
+        .digest("hex");
+}
+
+module.exports = ChangeFeed;
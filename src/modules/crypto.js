@@ -1,13 +1,112 @@
 const crypto = require("crypto");
 
+// 키 파생 헤더 (salt.txt에 저장)
+// v0: 16진수 솔트만 있는 기존 형식 = PBKDF2-SHA256 400만 회
+// v1: { v, kdf, params, salt } JSON
+const KDF_PBKDF2 = "pbkdf2-sha256";
+const KDF_SCRYPT = "scrypt";
+const LEGACY_PBKDF2_ITERATIONS = 4000000;
+const KDF_HEADER_VERSION = 1;
+
+// 새 금고에 사용하는 기본 KDF (N=2^17, r=8 -> 약 128MB 메모리)
+const DEFAULT_KDF = {
+    kdf: KDF_SCRYPT,
+    params: { N: 131072, r: 8, p: 1 },
+};
+
 // 암호화 유틸리티 클래스
-// AES-256-GCM 암호화와 PBKDF2 키 파생 사용
+// AES-256-GCM 암호화와 PBKDF2/scrypt 키 파생 사용
 class CryptoUtil {
     // PBKDF2를 사용하여 비밀번호에서 키 파생
     static deriveKey(password, salt, iterations = 4000000, keyLength = 32) {
         return crypto.pbkdf2Sync(password, salt, iterations, keyLength, "sha256");
     }
 
+    // deriveKey의 비동기 버전 (libuv 스레드 풀에서 실행되어 메인 프로세스를 막지 않음)
+    static deriveKeyAsync(password, salt, iterations = 4000000, keyLength = 32) {
+        return new Promise((resolve, reject) => {
+            crypto.pbkdf2(password, salt, iterations, keyLength, "sha256", (err, key) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(key);
+                }
+            });
+        });
+    }
+
+    // 새 KDF 헤더 생성 (kdfOptions 생략 시 기본 KDF)
+    static createKdfHeader(kdfOptions = DEFAULT_KDF, salt = this.generateSalt()) {
+        return {
+            v: KDF_HEADER_VERSION,
+            kdf: kdfOptions.kdf,
+            params: { ...kdfOptions.params },
+            salt: salt.toString("hex"),
+        };
+    }
+
+    // salt.txt 내용 파싱 (기존 16진수 솔트 형식도 지원)
+    static parseKdfHeader(content) {
+        const text = String(content || "").trim();
+        if (!text.startsWith("{")) {
+            if (!/^[0-9a-fA-F]+$/.test(text)) throw new Error("Invalid salt file");
+            return { v: 0, kdf: KDF_PBKDF2, params: { iterations: LEGACY_PBKDF2_ITERATIONS }, salt: text };
+        }
+
+        let header;
+        try {
+            header = JSON.parse(text);
+        } catch (error) {
+            throw new Error("Invalid salt file");
+        }
+        if (!header || typeof header.salt !== "string" || !header.params || typeof header.params !== "object") {
+            throw new Error("Invalid salt file");
+        }
+        if (header.kdf !== KDF_PBKDF2 && header.kdf !== KDF_SCRYPT) {
+            throw new Error(`Unsupported key derivation: ${header.kdf}`);
+        }
+        if (header.v > KDF_HEADER_VERSION) {
+            throw new Error("This vault was created by a newer version of LocalKeys");
+        }
+        return header;
+    }
+
+    // KDF 헤더를 salt.txt 내용으로 변환 (v0은 기존 앱도 읽을 수 있도록 솔트만 기록)
+    static serializeKdfHeader(header) {
+        if (header.v === 0) return header.salt;
+        return JSON.stringify(header);
+    }
+
+    // 헤더에 기록된 알고리즘/파라미터로 키 파생
+    static deriveKeyFromHeader(password, header, keyLength = 32) {
+        const salt = Buffer.from(header.salt, "hex");
+        if (header.kdf === KDF_PBKDF2) {
+            return this.deriveKeyAsync(password, salt, header.params.iterations, keyLength);
+        }
+        if (header.kdf === KDF_SCRYPT) {
+            const { N, r, p } = header.params;
+            return new Promise((resolve, reject) => {
+                crypto.scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 }, (err, key) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(key);
+                    }
+                });
+            });
+        }
+        return Promise.reject(new Error(`Unsupported key derivation: ${header.kdf}`));
+    }
+
+    // 헤더가 현재 기본 KDF보다 약한지 (잠금 해제 시 자동 업그레이드 대상)
+    static isKdfHeaderOutdated(header, kdfOptions = DEFAULT_KDF) {
+        if (header.kdf !== kdfOptions.kdf) return true;
+        if (header.kdf === KDF_SCRYPT) {
+            return header.params.N < kdfOptions.params.N || header.params.r < kdfOptions.params.r || header.params.p < kdfOptions.params.p;
+        }
+        return header.params.iterations < kdfOptions.params.iterations;
+    }
+
     // 랜덤 솔트 생성
     static generateSalt(length = 32) {
         return crypto.randomBytes(length);
@@ -76,4 +175,8 @@ class CryptoUtil {
     }
 }
 
+CryptoUtil.KDF_PBKDF2 = KDF_PBKDF2;
+CryptoUtil.KDF_SCRYPT = KDF_SCRYPT;
+CryptoUtil.DEFAULT_KDF = DEFAULT_KDF;
+
 module.exports = CryptoUtil;
@@ -1,121 +1,301 @@
 const http = require("http");
+const net = require("net");
 const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const CryptoUtil = require("./crypto");
+const { PROTOCOL_VERSION, MIN_CLIENT_PROTOCOL_VERSION, ERROR_CODES, apiError, errorCodeFor } = require("./api-protocol");
+const { identifyPeer, formatClient } = require("./process-info");
+const { RequestGuard, clientKeyOf, connectionKeyOf } = require("./request-guard");
+const { evaluatePolicies } = require("./access-policy");
+const { isAccessToken, accessTokenIdOf, findAccessToken, tokenAllows, tokenAllowsProject, tokenAllowsKey } = require("./access-tokens");
 
 const SERVER_INFO_PATH = path.join(os.homedir(), ".localkeys", "server-info.json");
-const VAULT_LOCKED = { success: false, error: "Vault is locked" };
+// Linux/macOS 기본 전송 경로: ~/.localkeys(0700) 안의 0600 소켓이라 파일 권한상 같은 사용자 프로세스만 연결 가능
+// (Windows는 TCP만 사용)
+const SOCKET_PATH = process.platform === "win32" ? null : path.join(os.homedir(), ".localkeys", "localkeys.sock");
+const VAULT_LOCKED = apiError(ERROR_CODES.LOCKED, "Vault is locked");
+const OUTSIDE_TOKEN_SCOPE = apiError(ERROR_CODES.DENIED, "Access denied: Project is outside the token scope");
+// status로 알리는 지원 액션과 기능 (CLI는 실행 전 확인하고 앱이 오래되었으면 안내)
+const SUPPORTED_ACTIONS = [
+    "status",
+    "listVaults",
+    "listProjects",
+    "listSecretKeys",
+    "getAllSecrets",
+    "getBatchSecrets",
+    "getSecret",
+    "setSecret",
+    "createProject",
+    "deleteProject",
+    "renameSecret",
+    "deleteSecret",
+    "getSecretHistory",
+    "restoreSecretVersion",
+];
+const SUPPORTED_FEATURES = ["unixSocket", "accessTokens", "approvalQueue", "partialApproval", "writePreview", "secretExpiry", "events"];
+// GET /events: 변경 이벤트 스트림 (Server-Sent Events), 연결 유지용 주석을 주기적으로 전송
+const EVENTS_PATH = "/events";
+const EVENT_HEARTBEAT_MS = 30000;
 const SYSTEM_VAULT_ID = "system";
+const SYSTEM_VAULT_NAME = "System";
 
 class HttpServer {
-    constructor(vaultManager, logger) {
+    // options.appVersion: status로 알릴 앱 버전
+    // options.protection: 요청 제한 설정 (settings.apiProtection, request-guard.js 참고)
+    // options.headless: GUI 없는 에이전트(cli/agent.js)에서 실행 중이면 true (status·server-info.json에 표시)
+    constructor(vaultManager, logger, options = {}) {
         this.vaultManager = vaultManager;
         this.logger = logger;
+        this.appVersion = options.appVersion || "0.0.0";
+        this.headless = options.headless === true;
         this.server = null;
+        this.socketServer = null;
+        this.socketInode = null;
+        this.socketPath = null;
         this.port = 0;
         this.host = "localhost";
         this.isUnlocked = false;
         this.authToken = this.generateAuthToken();
         this.approvalCallback = null;
+        this.pendingUnlock = null;
+        // 열린 이벤트 스트림 { res, token, heartbeat }
+        this.eventStreams = new Set();
+        this.nextEventId = 1;
+        this.guard = new RequestGuard(options.protection);
+        // 마지막으로 인증에 성공한 요청 시각 (에이전트 자동 잠금용)
+        this.lastRequestAt = 0;
+    }
+
+    setProtection(protection) {
+        this.guard.configure(protection);
     }
 
     generateAuthToken() {
         return crypto.randomBytes(32).toString("hex");
     }
 
+    // TCP(localhost 임의 포트)와 유닉스 소켓에서 같은 핸들러로 요청을 받음
+    // CLI는 server-info.json의 socketPath를 우선 사용하고, 연결할 수 없으면 TCP로 재시도
+    // 앱·에이전트의 동시 실행은 instance.lock(instance-lock.js)으로 막고,
+    // 소켓이 아직 연결을 받으면 server-info.json·소켓을 건드리지 않고 실패
     async start() {
-        return new Promise((resolve, reject) => {
+        await new Promise((resolve, reject) => {
             this.server = http.createServer((req, res) => {
                 this.handleRequest(req, res);
             });
 
             this.server.listen(0, this.host, () => {
                 this.port = this.server.address().port;
+                resolve();
+            });
 
-                try {
-                    fs.mkdirSync(path.dirname(SERVER_INFO_PATH), { recursive: true });
-                } catch {}
+            this.server.on("error", (error) => {
+                reject(error);
+            });
+        });
 
-                try {
-                    fs.writeFileSync(
-                        SERVER_INFO_PATH,
-                        JSON.stringify({
-                            host: this.host,
-                            port: this.port,
-                            authToken: this.authToken,
-                            pid: process.pid,
-                        }),
-                    );
-
-                    try {
-                        fs.chmodSync(SERVER_INFO_PATH, 0o600);
-                    } catch (error) {
-                        console.error("Failed to set server-info.json permissions:", error.message);
-                    }
-                } catch (error) {
-                    console.error("Failed to write server-info.json:", error.message);
-                }
+        try {
+            fs.mkdirSync(path.dirname(SERVER_INFO_PATH), { recursive: true });
+        } catch {}
+
+        try {
+            this.socketPath = await this._startSocketServer();
+        } catch (error) {
+            await new Promise((resolve) => this.server.close(() => resolve()));
+            this.server = null;
+            throw error;
+        }
 
-                resolve({
+        try {
+            fs.writeFileSync(
+                SERVER_INFO_PATH,
+                JSON.stringify({
                     host: this.host,
                     port: this.port,
+                    socketPath: this.socketPath,
                     authToken: this.authToken,
-                });
-            });
+                    pid: process.pid,
+                    ...(this.headless ? { headless: true } : {}),
+                }),
+            );
 
-            this.server.on("error", (error) => {
-                reject(error);
-            });
-        });
+            try {
+                fs.chmodSync(SERVER_INFO_PATH, 0o600);
+            } catch (error) {
+                console.error("Failed to set server-info.json permissions:", error.message);
+            }
+        } catch (error) {
+            console.error("Failed to write server-info.json:", error.message);
+        }
+
+        return {
+            host: this.host,
+            port: this.port,
+            socketPath: this.socketPath,
+            authToken: this.authToken,
+        };
     }
 
-    async stop() {
-        if (this.server) {
-            return new Promise((resolve) => {
-                this.server.close(() => {
-                    try {
-                        if (fs.existsSync(SERVER_INFO_PATH)) {
-                            fs.unlinkSync(SERVER_INFO_PATH);
-                        }
-                    } catch {}
+    // 유닉스 소켓 서버 시작 (실패해도 TCP로 계속 동작하도록 null 반환)
+    // 연결되는 소켓은 다른 프로세스가 사용 중이므로 지우지 않고 시작 중단
+    async _startSocketServer() {
+        if (!SOCKET_PATH) return null;
 
-                    // 리소스 정리
-                    this.server = null;
-                    this.authToken = null;
-                    this.port = 0;
-                    this.isUnlocked = false;
+        if (await isSocketListening(SOCKET_PATH)) {
+            throw new Error("Another LocalKeys instance is already serving requests");
+        }
+        this._removeStaleSocket();
+        const server = http.createServer((req, res) => {
+            this.handleRequest(req, res);
+        });
 
-                    resolve();
-                });
+        try {
+            await new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(SOCKET_PATH, resolve);
             });
+            fs.chmodSync(SOCKET_PATH, 0o600);
+            // 멈출 때 이 서버가 만든 소켓 파일인지 확인하기 위함
+            this.socketInode = fs.statSync(SOCKET_PATH).ino;
+        } catch (error) {
+            console.error("Failed to start socket server:", error.message);
+            try {
+                server.close();
+            } catch {}
+            return null;
         }
+
+        this.socketServer = server;
+        return SOCKET_PATH;
     }
 
-    authenticateRequest(req, res) {
+    // 비정상 종료로 남은 소켓 파일 삭제 (소켓이 아닌 파일은 건드리지 않음)
+    _removeStaleSocket() {
+        try {
+            if (fs.lstatSync(SOCKET_PATH).isSocket()) {
+                fs.unlinkSync(SOCKET_PATH);
+            }
+        } catch {}
+    }
+
+    // 이 서버가 만든 소켓 파일일 때만 삭제 (닫는 사이 새 서버가 같은 경로에 만든 소켓은 그대로 둠)
+    _removeOwnSocket(inode) {
+        try {
+            const stats = fs.lstatSync(SOCKET_PATH);
+            if (stats.isSocket() && stats.ino === inode) {
+                fs.unlinkSync(SOCKET_PATH);
+            }
+        } catch {}
+    }
+
+    async stop() {
+        if (this.server) {
+            // 열린 이벤트 스트림이 있으면 서버가 닫히지 않으므로 먼저 종료
+            this._closeEventStreams();
+            const socketServer = this.socketServer;
+            const socketInode = this.socketInode;
+            const authToken = this.authToken;
+            await Promise.all([
+                new Promise((resolve) => this.server.close(() => resolve())),
+                socketServer ? new Promise((resolve) => socketServer.close(() => resolve())) : null,
+            ]);
+
+            // 다른 서버(다른 프로세스, 같은 프로세스에서 새로 시작한 서버)가 쓴 server-info.json은 지우지 않음
+            try {
+                const info = JSON.parse(fs.readFileSync(SERVER_INFO_PATH, "utf8"));
+                if (info.pid === process.pid && info.authToken === authToken) {
+                    fs.unlinkSync(SERVER_INFO_PATH);
+                }
+            } catch {}
+            if (socketServer) this._removeOwnSocket(socketInode);
+
+            // 리소스 정리
+            this.server = null;
+            this.socketServer = null;
+            this.socketInode = null;
+            this.socketPath = null;
+            this.authToken = null;
+            this.port = 0;
+            this.isUnlocked = false;
+        }
+    }
+
+    // 인증 성공 시 { token } 반환 (token: 접근 토큰 레코드, 앱 인증 토큰이면 null), 실패 시 응답 후 null
+    // client: 요청 프로세스 (실패 기록용)
+    authenticateRequest(req, res, client = null) {
         const authHeader = req.headers.authorization;
 
         if (!authHeader || !authHeader.startsWith("Bearer ")) {
+            this._logRejectedAuth("missing credentials", client);
             res.writeHead(401, { "Content-Type": "application/json" });
-            res.end(JSON.stringify({ success: false, error: "Authorization required" }));
-            return false;
+            res.end(JSON.stringify(apiError(ERROR_CODES.UNAUTHORIZED, "Authorization required")));
+            return null;
         }
 
         const token = authHeader.substring(7);
+
+        // GUI에서 만든 접근 토큰 (lkt_...)
+        if (isAccessToken(token)) {
+            const record = this.isUnlocked ? findAccessToken(this.vaultManager.getAccessTokens(), token) : null;
+            if (!record) {
+                this._logRejectedAuth("unknown or expired access token", client);
+                res.writeHead(401, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(apiError(ERROR_CODES.UNAUTHORIZED, "Invalid or expired token")));
+                return null;
+            }
+            this.vaultManager.touchAccessToken(record.id);
+            this.lastRequestAt = Date.now();
+            return { token: record };
+        }
+
         const expected = Buffer.from(this.authToken, "utf8");
         const received = Buffer.from(token, "utf8");
         if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            this._logRejectedAuth("invalid app token", client);
             res.writeHead(401, { "Content-Type": "application/json" });
-            res.end(JSON.stringify({ success: false, error: "Invalid token" }));
-            return false;
+            res.end(JSON.stringify(apiError(ERROR_CODES.UNAUTHORIZED, "Invalid token")));
+            return null;
         }
 
-        return true;
+        this.lastRequestAt = Date.now();
+        return { token: null };
+    }
+
+    // 인증 실패 기록 (속도 제한을 통과한 요청만 도달하므로 기록 수도 제한됨)
+    _logRejectedAuth(kind, client) {
+        this.logger.logApp(`CLI request rejected (${kind}), Process: ${formatClient(client)}`);
+    }
+
+    // rateKey별 요청 속도 확인, 넘었으면 429 응답 후 false
+    // 요청 프로세스는 처음 제한에 걸렸을 때 기록용으로만 확인 (연결별로 한 번만 조회됨)
+    _checkRate(req, res, rateKey) {
+        const rate = this.guard.checkRate(rateKey);
+        if (rate.allowed) return true;
+
+        const retryAfter = Math.max(1, Math.ceil(rate.retryAfterMs / 1000));
+        if (rate.firstRejection) {
+            const limit = this.guard.options.requestsPerMinute;
+            identifyPeer(req.socket, this.port).then((client) => {
+                this.logger.logApp(`CLI rate limit exceeded (${limit} requests per minute), Process: ${formatClient(client)}`);
+            });
+        }
+        res.writeHead(429, { "Content-Type": "application/json", "Retry-After": String(retryAfter) });
+        res.end(JSON.stringify(apiError(ERROR_CODES.RATE_LIMITED, `Too many requests, try again in ${retryAfter}s`)));
+        return false;
+    }
+
+    // 인증 전 속도 제한 키: 접근 토큰은 여러 연결에서 쓰여도 토큰 하나로, 그 외에는 연결별로
+    _requestRateKey(req) {
+        const authHeader = req.headers.authorization;
+        const tokenId = authHeader && authHeader.startsWith("Bearer ") ? accessTokenIdOf(authHeader.substring(7)) : null;
+        return tokenId ? `token:${tokenId}` : connectionKeyOf(req.socket);
     }
 
     setCorsHeaders(res) {
         res.setHeader("Access-Control-Allow-Origin", "http://localhost");
-        res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+        res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
         res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
     }
 
@@ -129,13 +309,32 @@ class HttpServer {
                 return;
             }
 
+            // 요청 프로세스 확인은 비용이 크므로 먼저 연결(접근 토큰이면 토큰)별로 제한
+            if (!this._checkRate(req, res, this._requestRateKey(req))) {
+                return;
+            }
+
+            // 요청 프로세스 (Linux에서만 확인 가능, 그 외에는 null) - 속도 제한, 인증 실패 기록, 승인 다이얼로그에 사용
+            // 확인하지 못했으면 위의 연결별 제한만 적용
+            const client = await identifyPeer(req.socket, this.port);
+            if (client && !this._checkRate(req, res, clientKeyOf(client))) {
+                return;
+            }
+
+            if (req.method === "GET" && new URL(req.url, "http://localhost").pathname === EVENTS_PATH) {
+                const auth = this.authenticateRequest(req, res, client);
+                if (auth) this._openEventStream(req, res, auth.token);
+                return;
+            }
+
             if (req.method !== "POST") {
                 res.writeHead(405, { "Content-Type": "application/json" });
-                res.end(JSON.stringify({ success: false, error: "Method not allowed" }));
+                res.end(JSON.stringify(apiError(ERROR_CODES.INVALID, "Method not allowed")));
                 return;
             }
 
-            if (!this.authenticateRequest(req, res)) {
+            const auth = this.authenticateRequest(req, res, client);
+            if (!auth) {
                 return;
             }
 
@@ -143,19 +342,14 @@ class HttpServer {
             const action = body && typeof body === "object" ? body.action : undefined;
             const data = body && typeof body === "object" ? body.data : undefined;
 
-            const result = await this.handleAction(action, data);
+            const result = await this.handleAction(action, data, { socket: req.socket, token: auth.token, client });
 
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(JSON.stringify(result));
         } catch (error) {
-            const statusCode = error?.message === "Request too large" ? 413 : 500;
+            const statusCode = error?.message === "Request too large" ? 413 : error?.message === "Invalid JSON" ? 400 : 500;
             res.writeHead(statusCode, { "Content-Type": "application/json" });
-            res.end(
-                JSON.stringify({
-                    success: false,
-                    error: error.message,
-                }),
-            );
+            res.end(JSON.stringify(apiError(errorCodeFor(error), error.message)));
         }
     }
 
@@ -187,6 +381,11 @@ class HttpServer {
         });
     }
 
+    _vaultExists(vaultName) {
+        const vaults = this.vaultManager ? this.vaultManager.getVaultList() : [];
+        return vaults.some((v) => v.name === vaultName);
+    }
+
     async _getVault(vaultName) {
         if (!this.vaultManager) return null;
         // --vault 없이 호출 시 항상 System 금고 사용
@@ -195,36 +394,58 @@ class HttpServer {
         return vault;
     }
 
-    async handleAction(action, data) {
+    // context.socket: 승인 다이얼로그에 요청 프로세스를 표시하기 위한 연결 소켓
+    // context.client: handleRequest에서 이미 확인한 요청 프로세스 (없으면 socket으로 확인)
+    // context.token: 접근 토큰으로 인증한 요청이면 토큰 레코드 (범위 밖 요청은 거부, 범위 안이면 승인 생략)
+    async handleAction(action, data, context = {}) {
         try {
+            // 잠금 해제 진행 중에 들어온 요청은 바로 거부하지 않고 결과를 기다림
+            if (!this.isUnlocked && this.pendingUnlock) {
+                await this.pendingUnlock.catch(() => {});
+            }
+
             let result;
             const safeData = data && typeof data === "object" && !Array.isArray(data) ? data : {};
-            const vault = await this._getVault(safeData.vaultName || null);
+            const token = context.token || null;
+            // 접근 토큰은 금고 하나에만 유효 (--vault 없이 호출하면 토큰의 금고 사용)
+            const vaultName = safeData.vaultName || token?.vault || null;
+            if (token && action !== "status" && (vaultName || SYSTEM_VAULT_NAME) !== token.vault) {
+                return apiError(ERROR_CODES.DENIED, "Access denied: Token is not valid for this vault");
+            }
+            if (vaultName && action !== "status" && action !== "listVaults" && !this._vaultExists(vaultName)) {
+                return apiError(ERROR_CODES.NOT_FOUND, `Vault '${vaultName}' not found`);
+            }
+            const vault = await this._getVault(vaultName);
 
             switch (action) {
                 case "listProjects":
                     if (!this.isUnlocked || !vault) {
                         result = VAULT_LOCKED;
                     } else {
-                        result = { success: true, data: vault.getProjects() };
+                        const projects = vault.getProjects();
+                        result = { success: true, data: token ? projects.filter((p) => tokenAllowsProject(token, p.name)) : projects };
                     }
                     break;
 
                 case "listSecretKeys":
                     if (!this.isUnlocked || !vault) {
                         result = VAULT_LOCKED;
+                    } else if (token && !tokenAllowsProject(token, safeData.projectName)) {
+                        result = OUTSIDE_TOKEN_SCOPE;
                     } else {
                         const secrets = vault.getSecrets(safeData.projectName);
-                        const keys = Object.keys(secrets);
+                        // 접근 토큰이면 키 패턴에 맞는 키만
+                        const keys = Object.keys(secrets).filter((key) => !token || tokenAllowsKey(token, key));
                         if (keys.length === 0) {
                             result = { success: true, data: [] };
                         } else {
-                            const approvalResult = await this.requestBatchApproval(safeData.projectName, keys, "read");
+                            const approvalResult = await this.requestBatchApproval(safeData.projectName, keys, "read", context, vaultName);
                             if (approvalResult.approved) {
-                                result = { success: true, data: keys };
+                                // 다이얼로그에서 일부 키만 승인했으면 승인한 키만
+                                result = { success: true, data: approvalResult.keys || keys };
                             } else {
                                 const reason = approvalResult.reason || "User denied";
-                                result = { success: false, error: `Access denied: ${reason}` };
+                                result = apiError(ERROR_CODES.DENIED, `Access denied: ${reason}`);
                             }
                         }
                     }
@@ -233,20 +454,24 @@ class HttpServer {
                 case "getAllSecrets":
                     if (!this.isUnlocked || !vault) {
                         result = VAULT_LOCKED;
+                    } else if (token && !tokenAllowsProject(token, safeData.projectName)) {
+                        result = OUTSIDE_TOKEN_SCOPE;
                     } else {
                         const secrets = vault.getSecrets(safeData.projectName);
-                        const keys = Object.keys(secrets);
+                        // 접근 토큰이면 키 패턴에 맞는 키만
+                        const keys = Object.keys(secrets).filter((key) => !token || tokenAllowsKey(token, key));
 
                         if (keys.length === 0) {
                             result = { success: true, data: {} };
                         } else {
-                            const approvalResult = await this.requestBatchApproval(safeData.projectName, keys, "read");
+                            const approvalResult = await this.requestBatchApproval(safeData.projectName, keys, "read", context, vaultName);
 
                             if (approvalResult.approved) {
-                                result = { success: true, data: secrets };
+                                const approvedKeys = approvalResult.keys || keys;
+                                result = { success: true, data: Object.fromEntries(approvedKeys.map((key) => [key, secrets[key]])) };
                             } else {
                                 const reason = approvalResult.reason || "User denied";
-                                result = { success: false, error: `Access denied: ${reason}` };
+                                result = apiError(ERROR_CODES.DENIED, `Access denied: ${reason}`);
                             }
                         }
                     }
@@ -257,11 +482,11 @@ class HttpServer {
                         result = VAULT_LOCKED;
                     } else {
                         const keys = Array.isArray(safeData.keys) ? safeData.keys.filter((k) => typeof k === "string") : [];
-                        const approvalResult = await this.requestBatchApproval(safeData.projectName, keys, "read");
+                        const approvalResult = await this.requestBatchApproval(safeData.projectName, keys, "read", context, vaultName);
 
                         if (approvalResult.approved) {
                             const secrets = Object.create(null);
-                            for (const key of keys) {
+                            for (const key of approvalResult.keys || keys) {
                                 try {
                                     secrets[key] = vault.getSecret(safeData.projectName, key);
                                 } catch (error) {}
@@ -269,7 +494,7 @@ class HttpServer {
                             result = { success: true, data: secrets };
                         } else {
                             const reason = approvalResult.reason || "User denied";
-                            result = { success: false, error: `Access denied: ${reason}` };
+                            result = apiError(ERROR_CODES.DENIED, `Access denied: ${reason}`);
                         }
                     }
                     break;
@@ -278,14 +503,14 @@ class HttpServer {
                     if (!this.isUnlocked || !vault) {
                         result = VAULT_LOCKED;
                     } else {
-                        const approvalResult = await this.requestBatchApproval(safeData.projectName, [safeData.key], "read");
+                        const approvalResult = await this.requestBatchApproval(safeData.projectName, [safeData.key], "read", context, vaultName);
 
                         if (approvalResult.approved) {
                             const value = vault.getSecret(safeData.projectName, safeData.key);
                             result = { success: true, data: value };
                         } else {
                             const reason = approvalResult.reason || "User denied";
-                            result = { success: false, error: `Access denied: ${reason}` };
+                            result = apiError(ERROR_CODES.DENIED, `Access denied: ${reason}`);
                         }
                     }
                     break;
@@ -294,14 +519,121 @@ class HttpServer {
                     if (!this.isUnlocked || !vault) {
                         result = VAULT_LOCKED;
                     } else {
-                        const approvalResult = await this.requestBatchApproval(safeData.projectName, [safeData.key], "write");
+                        const expiresAt = normalizeExpiresAt(safeData.expiresAt);
+                        const write = buildWritePreview(vault, safeData.projectName, safeData.key, safeData.value, expiresAt);
+                        const approvalResult = await this.requestBatchApproval(safeData.projectName, [safeData.key], "write", context, vaultName, {
+                            write,
+                        });
                         if (approvalResult.approved) {
-                            vault.setSecret(safeData.projectName, safeData.key, safeData.value);
+                            vault.setSecret(safeData.projectName, safeData.key, safeData.value, expiresAt);
                             await vault.saveNow();
                             result = { success: true };
                         } else {
                             const reason = approvalResult.reason || "User denied";
-                            result = { success: false, error: `Access denied: ${reason}` };
+                            result = apiError(ERROR_CODES.DENIED, `Access denied: ${reason}`);
+                        }
+                    }
+                    break;
+
+                case "createProject":
+                    if (!this.isUnlocked || !vault) {
+                        result = VAULT_LOCKED;
+                    } else if (typeof safeData.projectName !== "string" || !safeData.projectName.trim()) {
+                        result = apiError(ERROR_CODES.INVALID, "Project name cannot be empty");
+                    } else if (vault.getProjects().some((p) => p.name === safeData.projectName)) {
+                        result = apiError(ERROR_CODES.INVALID, `Project '${safeData.projectName}' already exists`);
+                    } else {
+                        result = await this._approveWrite(vault, vaultName, safeData.projectName, [], context, { operation: "createProject" }, () =>
+                            vault.createProject(safeData.projectName),
+                        );
+                    }
+                    break;
+
+                case "deleteProject":
+                    if (!this.isUnlocked || !vault) {
+                        result = VAULT_LOCKED;
+                    } else {
+                        // 프로젝트의 모든 키에 대한 쓰기 승인 (접근 토큰이면 모든 키가 범위 안이어야 함)
+                        const keys = Object.keys(vault.getSecrets(safeData.projectName));
+                        const write = { operation: "deleteProject", secretCount: keys.length };
+                        result = await this._approveWrite(vault, vaultName, safeData.projectName, keys, context, write, () =>
+                            vault.deleteProject(safeData.projectName),
+                        );
+                    }
+                    break;
+
+                case "renameSecret":
+                    if (!this.isUnlocked || !vault) {
+                        result = VAULT_LOCKED;
+                    } else {
+                        // 키 존재 여부는 승인 후에 확인 (승인 전 오류로 키 존재 여부가 드러나지 않도록)
+                        const { projectName, fromKey, toKey } = safeData;
+                        if (typeof toKey !== "string" || !toKey.trim()) {
+                            result = apiError(ERROR_CODES.INVALID, "Secret key cannot be empty");
+                        } else {
+                            const write = { operation: "rename", from: fromKey, to: toKey };
+                            result = await this._approveWrite(vault, vaultName, projectName, [fromKey, toKey], context, write, () =>
+                                vault.renameSecret(projectName, fromKey, toKey),
+                            );
+                        }
+                    }
+                    break;
+
+                case "deleteSecret":
+                    if (!this.isUnlocked || !vault) {
+                        result = VAULT_LOCKED;
+                    } else {
+                        // 없는 키여도 승인을 먼저 요청하고 삭제할 때 오류 (승인 전 오류로 키 존재 여부가 드러나지 않도록)
+                        const existing = findSecret(vault, safeData.projectName, safeData.key);
+                        const write = {
+                            operation: "delete",
+                            oldValue: existing ? CryptoUtil.maskSensitiveValue(String(existing.value ?? "")) : null,
+                            oldExpiresAt: existing?.expiresAt || null,
+                        };
+                        result = await this._approveWrite(vault, vaultName, safeData.projectName, [safeData.key], context, write, () =>
+                            vault.deleteSecret(safeData.projectName, safeData.key),
+                        );
+                    }
+                    break;
+
+                case "getSecretHistory":
+                    if (!this.isUnlocked || !vault) {
+                        result = VAULT_LOCKED;
+                    } else {
+                        // 이전 값도 포함되므로 읽기 승인 필요 (키 존재 여부도 승인 후에 확인)
+                        const approvalResult = await this.requestBatchApproval(safeData.projectName, [safeData.key], "read", context, vaultName);
+                        if (approvalResult.approved) {
+                            result = { success: true, data: vault.getSecretHistory(safeData.projectName, safeData.key) };
+                        } else {
+                            const reason = approvalResult.reason || "User denied";
+                            result = apiError(ERROR_CODES.DENIED, `Access denied: ${reason}`);
+                        }
+                    }
+                    break;
+
+                case "restoreSecretVersion":
+                    if (!this.isUnlocked || !vault) {
+                        result = VAULT_LOCKED;
+                    } else {
+                        // versionIndex: getSecretHistory의 history 순서 (0: 바로 이전 버전)
+                        // 이전 값으로 덮어쓰므로 값 저장과 달리 기억된 승인을 사용하지 않음
+                        // 키·버전이 없으면 변경 내용 없이 승인을 요청하고 복원할 때 오류 (승인 전 오류로 키 존재 여부가 드러나지 않도록)
+                        const { projectName, key, versionIndex } = safeData;
+                        if (!Number.isInteger(versionIndex) || versionIndex < 0) {
+                            result = apiError(ERROR_CODES.INVALID, `Invalid version index: ${versionIndex}`);
+                        } else {
+                            let version = null;
+                            try {
+                                version = vault.getSecretHistory(projectName, key).history[versionIndex] || null;
+                            } catch {}
+                            const write = {
+                                ...(version ? buildWritePreview(vault, projectName, key, version.value, version.expiresAt ?? null) : {}),
+                                operation: "restore",
+                                versionIndex,
+                            };
+                            result = await this._approveWrite(vault, vaultName, projectName, [key], context, write, () =>
+                                vault.restoreSecretVersion(projectName, key, versionIndex),
+                            );
                         }
                     }
                     break;
@@ -310,7 +642,8 @@ class HttpServer {
                     if (!this.isUnlocked) {
                         result = VAULT_LOCKED;
                     } else {
-                        result = { success: true, data: this.vaultManager ? this.vaultManager.getVaultList() : [] };
+                        const vaults = this.vaultManager ? this.vaultManager.getVaultList() : [];
+                        result = { success: true, data: token ? vaults.filter((v) => v.name === token.vault) : vaults };
                     }
                     break;
 
@@ -319,41 +652,261 @@ class HttpServer {
                         success: true,
                         data: {
                             isUnlocked: this.isUnlocked,
-                            version: "1.0.0",
+                            protocolVersion: PROTOCOL_VERSION,
+                            minProtocolVersion: MIN_CLIENT_PROTOCOL_VERSION,
+                            appVersion: this.appVersion,
+                            headless: this.headless,
+                            actions: SUPPORTED_ACTIONS,
+                            features: SUPPORTED_FEATURES,
+                            serverTime: new Date().toISOString(),
                         },
                     };
                     break;
 
                 default:
-                    result = { success: false, error: "Unknown action" };
+                    result = apiError(ERROR_CODES.INVALID, "Unknown action");
             }
 
             return result;
         } catch (error) {
-            const out = { success: false, error: error.message };
+            const out = apiError(errorCodeFor(error), error.message);
+            // 모듈 고유 오류 코드 (예: VAULT_EXTERNAL_CHANGE)는 detail로 전달
             if (error.code) {
-                out.code = error.code;
+                out.detail = error.code;
             }
             return out;
         }
     }
 
+    // 쓰기 승인 후 변경하고 바로 저장
+    // 삭제·이름 변경·복원처럼 값 저장 외의 변경은 기억된 승인을 사용하지 않고 항상 물음
+    async _approveWrite(vault, vaultName, projectName, keys, context, write, apply) {
+        const approvalResult = await this.requestBatchApproval(projectName, keys, "write", context, vaultName, {
+            write,
+            allowRemember: false,
+        });
+        if (!approvalResult.approved) {
+            const reason = approvalResult.reason || "User denied";
+            return apiError(ERROR_CODES.DENIED, `Access denied: ${reason}`);
+        }
+        apply();
+        await vault.saveNow();
+        return { success: true };
+    }
+
     setUnlocked(unlocked) {
         this.isUnlocked = unlocked;
         this.logger.logLock(`Vault ${unlocked ? "unlocked" : "locked"}`);
+        this.publishEvent({ type: unlocked ? "vault.unlocked" : "vault.locked", time: new Date().toISOString() });
+    }
+
+    // 변경 이벤트를 열린 스트림에 전송 (접근 토큰 스트림은 토큰 범위 안의 이벤트만)
+    publishEvent(event) {
+        const id = this.nextEventId++;
+        for (const stream of this.eventStreams) {
+            if (stream.token && !eventInTokenScope(stream.token, event)) continue;
+            writeEvent(stream.res, id, event);
+        }
+    }
+
+    // 처음에 현재 상태(ready)를 보내고 이후 이벤트를 계속 전송
+    _openEventStream(req, res, token) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+        });
+        const stream = { res, token };
+        stream.heartbeat = setInterval(() => res.write(": ping\n\n"), EVENT_HEARTBEAT_MS);
+        stream.heartbeat.unref?.();
+        this.eventStreams.add(stream);
+
+        const close = () => {
+            clearInterval(stream.heartbeat);
+            this.eventStreams.delete(stream);
+        };
+        req.on("close", close);
+        res.on("error", close);
+
+        writeEvent(res, this.nextEventId++, {
+            type: "ready",
+            isUnlocked: this.isUnlocked,
+            protocolVersion: PROTOCOL_VERSION,
+            time: new Date().toISOString(),
+        });
+    }
+
+    _closeEventStreams() {
+        for (const stream of this.eventStreams) {
+            clearInterval(stream.heartbeat);
+            try {
+                stream.res.end();
+            } catch {}
+        }
+        this.eventStreams.clear();
+    }
+
+    // 앱에서 진행 중인 잠금 해제 작업 등록 (완료되면 자동 해제)
+    setPendingUnlock(promise) {
+        this.pendingUnlock = promise;
+        const clear = () => {
+            if (this.pendingUnlock === promise) this.pendingUnlock = null;
+        };
+        promise.then(clear, clear);
     }
 
     setApprovalCallback(callback) {
         this.approvalCallback = callback;
     }
 
-    async requestBatchApproval(projectName, keys, action = "read") {
+    // 승인 순서: 접근 토큰 범위 -> 접근 정책(deny) -> 접근 토큰(범위 안이면 승인 생략) -> 접근 정책(allow/ask) -> 승인 다이얼로그
+    // details.write: 쓰기 요청의 변경 내용 (승인 다이얼로그에 표시, operation이 없으면 값 저장)
+    // details.allowRemember: false면 기억된 승인을 사용하지 않고 기억 기간도 선택할 수 없음
+    // 결과의 keys: 다이얼로그에서 일부 키만 승인한 경우 승인한 키 목록 (없으면 전체 승인)
+    async requestBatchApproval(projectName, keys, action = "read", context = {}, vaultName = null, details = {}) {
+        // 요청 프로세스 정보 (Linux에서만 확인 가능, 그 외에는 null)
+        const client = context.client !== undefined ? context.client : await identifyPeer(context.socket, this.port);
+        const request = {
+            vaultName: typeof vaultName === "string" && vaultName ? vaultName : SYSTEM_VAULT_NAME,
+            projectName,
+            keys,
+            action,
+            client,
+            allowRemember: details.allowRemember !== false,
+            write: details.write || null,
+            // 승인 대기열에서 기다리는 동안 CLI가 연결을 끊었는지 확인
+            isAbandoned: () => Boolean(context.socket?.destroyed),
+        };
+
+        const keysString = keys.join(", ");
+        const token = context.token || null;
+        if (token && !tokenAllows(token, request)) {
+            this.logger.logAccess(`Access denied (${action}) [outside scope of "${token.name}" access token]`, projectName, keysString, client);
+            return { approved: false, reason: `Outside the scope of token "${token.name}"` };
+        }
+
+        // 접근 정책이 일치하면 자동으로 허용·거부하거나, 기억된 승인 없이 항상 묻도록 함
+        const policy = evaluatePolicies(this.vaultManager.getAccessPolicies(), request);
+        if (policy?.effect === "deny") {
+            this.logger.logAccess(`Access denied by policy (${action}) [policy: ${policy.name}]`, projectName, keysString, client);
+            return { approved: false, reason: `Denied by policy "${policy.name}"` };
+        }
+
+        // 접근 토큰은 만들 때 범위를 정해 미리 승인한 것으로 보고 다이얼로그 없이 허용
+        if (token) {
+            this.logger.logAccess(`Access approved (${action}) ["${token.name}" access token]`, projectName, keysString, client);
+            return { approved: true };
+        }
+
+        if (policy) {
+            const ruleLabel = `[policy: ${policy.name}]`;
+            if (policy.effect === "allow") {
+                this.logger.logAccess(`Access approved by policy (${action}) ${ruleLabel}`, projectName, keysString, client);
+                return { approved: true };
+            }
+            this.logger.logAccess(`Approval required by policy (${action}) ${ruleLabel}`, projectName, keysString, client);
+            request.allowRemember = false;
+        }
+
         if (!this.approvalCallback) {
             return { approved: false, reason: "No approval handler available" };
         }
 
-        return await this.approvalCallback(projectName, keys, action);
+        // 연속 거부로 차단된 클라이언트, 대기 중인 다이얼로그가 너무 많은 클라이언트는 다이얼로그 없이 거부
+        const clientKey = clientKeyOf(client, connectionKeyOf(context.socket));
+        const refusal = this.guard.checkApproval(clientKey);
+        if (refusal?.reason === "blocked") {
+            const minutes = Math.ceil(refusal.retryAfterMs / 60000);
+            this.logger.logAccess(`Access denied (${action}, client blocked after repeated denials)`, projectName, keysString, client);
+            return { approved: false, reason: `Too many denied requests, try again in ${minutes} min` };
+        }
+        if (refusal?.reason === "pending") {
+            this.logger.logAccess(`Access denied (${action}, too many pending approvals)`, projectName, keysString, client);
+            return { approved: false, reason: "Too many pending approval requests" };
+        }
+
+        const finish = this.guard.beginApproval(clientKey);
+        let result;
+        try {
+            result = await this.approvalCallback(request);
+        } finally {
+            finish();
+        }
+
+        // 다이얼로그 응답(기억된 승인 포함)만 연속 거부로 셈 (같은 요청 공유, 잠금으로 취소 등은 제외)
+        // 요청 프로세스를 확인하지 못한 요청은 차단하지 않음 (연결별 키는 CLI 실행마다 바뀜)
+        if (!result.via && client) {
+            const blockedMs = this.guard.recordDecision(clientKey, result.approved);
+            if (blockedMs > 0) {
+                this.logger.logApp(
+                    `CLI client blocked for ${Math.round(blockedMs / 60000)} min after ${this.guard.options.denialLimit} denied requests, Process: ${formatClient(client)}`,
+                );
+            }
+        }
+        return result;
+    }
+}
+
+function writeEvent(res, id, event) {
+    try {
+        res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    } catch {}
+}
+
+// 잠금·잠금 해제 이벤트는 모든 스트림에, 금고 내용 이벤트는 토큰의 금고·프로젝트·키 패턴에 맞을 때만
+function eventInTokenScope(token, event) {
+    if (!event.vault) return true;
+    if (event.vault !== token.vault || !tokenAllowsProject(token, event.project)) return false;
+    return event.key === undefined || tokenAllowsKey(token, event.key);
+}
+
+// 만료일: 앱과 같은 YYYY-MM-DD 형식 (없으면 만료 없음)
+function normalizeExpiresAt(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value) || !Number.isFinite(Date.parse(value))) {
+        throw new Error("Invalid expiry date (expected YYYY-MM-DD)");
+    }
+    return value;
+}
+
+// 승인 다이얼로그에 표시할 기존 시크릿 (없으면 null)
+function findSecret(vault, projectName, key) {
+    try {
+        return vault.getSecret(projectName, key);
+    } catch {
+        return null;
     }
 }
 
+// 쓰기 승인 다이얼로그에 표시할 변경 내용 (값은 마스킹해서 전달)
+function buildWritePreview(vault, projectName, key, value, expiresAt) {
+    const existing = findSecret(vault, projectName, key);
+    return {
+        isNew: !existing,
+        oldValue: existing ? CryptoUtil.maskSensitiveValue(String(existing.value ?? "")) : null,
+        newValue: CryptoUtil.maskSensitiveValue(String(value ?? "")),
+        unchanged: Boolean(existing) && existing.value === value,
+        oldExpiresAt: existing ? existing.expiresAt : null,
+        newExpiresAt: expiresAt,
+    };
+}
+
+// 소켓에 연결되면 사용 중 (연결이 거부되면 비정상 종료로 남은 파일)
+function isSocketListening(socketPath) {
+    return new Promise((resolve) => {
+        const socket = net.connect(socketPath);
+        socket.setTimeout(1000);
+        socket.once("connect", () => {
+            socket.destroy();
+            resolve(true);
+        });
+        // 응답이 늦어도 살아 있는 것으로 보고 지우지 않음
+        socket.once("timeout", () => {
+            socket.destroy();
+            resolve(true);
+        });
+        socket.once("error", () => resolve(false));
+    });
+}
+
 module.exports = HttpServer;
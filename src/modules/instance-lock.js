@@ -0,0 +1,67 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// 앱·에이전트 실행 표시: ~/.localkeys/instance.lock ({ pid, headless, startedAt })
+// server-info.json은 잠금 해제된 동안만 있으므로, 잠긴 채 실행 중인 앱·에이전트도 알 수 있도록 프로세스가 살아 있는 동안 유지
+// 같은 vault.enc·logs.enc를 두 프로세스가 함께 쓰지 않도록 먼저 잡은 쪽만 실행
+const INSTANCE_LOCK_PATH = path.join(os.homedir(), ".localkeys", "instance.lock");
+
+// 잠금 획득 -> { acquired: true } 또는 { acquired: false, owner: { pid, headless } }
+// options.headless: 에이전트(cli/agent.js)면 true
+function acquireInstanceLock(options = {}) {
+    const record = JSON.stringify({ pid: process.pid, headless: options.headless === true, startedAt: Date.now() });
+    fs.mkdirSync(path.dirname(INSTANCE_LOCK_PATH), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(INSTANCE_LOCK_PATH, record, { flag: "wx", mode: 0o600 });
+            return { acquired: true };
+        } catch (error) {
+            if (error.code !== "EEXIST") throw error;
+        }
+
+        const owner = readInstanceLock();
+        if (owner && owner.pid !== process.pid) return { acquired: false, owner };
+        // 종료된 프로세스가 남긴 잠금 -> 지우고 다시 시도
+        try {
+            fs.unlinkSync(INSTANCE_LOCK_PATH);
+        } catch {}
+    }
+    throw new Error(`Could not create ${INSTANCE_LOCK_PATH}`);
+}
+
+// 실행 중인 앱·에이전트 -> { pid, headless } (없거나 종료된 프로세스면 null)
+function readInstanceLock() {
+    let owner;
+    try {
+        owner = JSON.parse(fs.readFileSync(INSTANCE_LOCK_PATH, "utf8"));
+    } catch {
+        return null;
+    }
+    if (!owner || !Number.isInteger(owner.pid)) return null;
+    // 재부팅 전에 남은 잠금 (같은 PID를 다른 프로세스가 쓰고 있을 수 있음)
+    if (Number(owner.startedAt) < Date.now() - os.uptime() * 1000) return null;
+
+    try {
+        process.kill(owner.pid, 0);
+    } catch (error) {
+        if (error.code !== "EPERM") return null;
+    }
+    return { pid: owner.pid, headless: owner.headless === true };
+}
+
+// 이 프로세스가 잡은 잠금만 해제
+function releaseInstanceLock() {
+    try {
+        const owner = JSON.parse(fs.readFileSync(INSTANCE_LOCK_PATH, "utf8"));
+        if (owner && owner.pid === process.pid) fs.unlinkSync(INSTANCE_LOCK_PATH);
+    } catch {}
+}
+
+module.exports = {
+    INSTANCE_LOCK_PATH,
+    acquireInstanceLock,
+    readInstanceLock,
+    releaseInstanceLock,
+};
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeFileAtomicSync } = require("./atomic-file");
+
+// 키 변경 저널: <금고 폴더>/keychange.json + <파일>.keychange
+// 비밀번호·키 파일 변경은 vault.enc, salt.txt, recovery.enc, 스냅샷(backups/) (시스템 금고는 vaults.enc, logs.enc도)를 차례로 새 키로 바꾸므로
+// 시작 전에 이전 키의 파일을 복사해 두고, 모두 바꾼 뒤 저널 파일을 지워 변경을 확정함
+// 도중에 종료되어 저널이 남아 있으면 다음 잠금 해제 전에 이전 파일로 되돌림 (이전 비밀번호로 열림)
+const JOURNAL_FILE = "keychange.json";
+const COPY_SUFFIX = ".keychange";
+// 다른 컴퓨터(공유 폴더)의 저널은 프로세스를 확인할 수 없으므로 이 시간이 지나야 중단된 것으로 봄
+const FOREIGN_JOURNAL_STALE_MS = 10 * 60 * 1000;
+
+class KeyChangeJournal {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.journalPath = path.join(dataDir, JOURNAL_FILE);
+    }
+
+    // files: 새 키로 바꿀 파일 이름 (금고 폴더 기준). 없는 파일은 되돌릴 때 삭제
+    begin(files) {
+        const entries = [];
+        for (const name of files) {
+            let data = null;
+            try {
+                data = fs.readFileSync(path.join(this.dataDir, name));
+            } catch (error) {
+                if (error.code !== "ENOENT") throw error;
+            }
+            if (data) writeFileAtomicSync(this._copyPathOf(name), data, { backup: false });
+            entries.push({ name, existed: data !== null });
+        }
+
+        // 복사본을 모두 쓴 뒤에 저널을 남김 (저널이 있으면 복사본도 온전함)
+        const journal = { pid: process.pid, host: os.hostname(), startedAt: Date.now(), files: entries };
+        writeFileAtomicSync(this.journalPath, JSON.stringify(journal), { backup: false });
+    }
+
+    // 저널 삭제가 확정 시점 (이후 남은 복사본은 정리만 함)
+    commit() {
+        const journal = this._read();
+        fs.unlinkSync(this.journalPath);
+        if (journal) this._removeCopies(journal.files);
+    }
+
+    // 복사해 둔 이전 파일로 되돌리고 저널 삭제
+    rollback() {
+        const journal = this._read();
+        if (!journal) return;
+
+        for (const entry of journal.files) {
+            const filePath = path.join(this.dataDir, entry.name);
+            if (entry.existed) {
+                writeFileAtomicSync(filePath, fs.readFileSync(this._copyPathOf(entry.name)), { backup: false });
+            } else {
+                try {
+                    fs.unlinkSync(filePath);
+                } catch (error) {
+                    if (error.code !== "ENOENT") throw error;
+                }
+            }
+        }
+        fs.unlinkSync(this.journalPath);
+        this._removeCopies(journal.files);
+    }
+
+    // 중단된 키 변경이 있으면 되돌림 -> 되돌렸으면 true
+    // 아직 진행 중인(다른 프로세스·다른 컴퓨터의) 변경은 건드리지 않음
+    recover() {
+        const journal = this._read();
+        if (!journal || !isAbandoned(journal)) return false;
+
+        this.rollback();
+        console.error("An interrupted password change was rolled back; the previous password still applies");
+        return true;
+    }
+
+    _read() {
+        let content;
+        try {
+            content = fs.readFileSync(this.journalPath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+        const journal = JSON.parse(content);
+        if (!journal || !Array.isArray(journal.files)) {
+            throw new Error(`Invalid key change journal: ${this.journalPath}`);
+        }
+        return journal;
+    }
+
+    _removeCopies(entries) {
+        for (const entry of entries) {
+            try {
+                fs.unlinkSync(this._copyPathOf(entry.name));
+            } catch {}
+        }
+    }
+
+    _copyPathOf(name) {
+        return path.join(this.dataDir, name + COPY_SUFFIX);
+    }
+}
+
+function isAbandoned(journal) {
+    if (journal.host !== os.hostname()) {
+        return Date.now() - Number(journal.startedAt) > FOREIGN_JOURNAL_STALE_MS;
+    }
+    if (journal.pid === process.pid) return true;
+    try {
+        process.kill(journal.pid, 0);
+        return false;
+    } catch (error) {
+        return error.code === "ESRCH";
+    }
+}
+
+module.exports = KeyChangeJournal;
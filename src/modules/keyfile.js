@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// 키 파일: 비밀번호와 함께 요구되는 두 번째 잠금 해제 요소
+// 파일 내용 전체의 SHA-256(digest)을 비밀번호에서 파생한 키와 HMAC으로 섞어 최종 금고 키를 만듦
+// -> 어떤 파일이든 키 파일로 쓸 수 있고, 파일이 1바이트라도 바뀌면 금고가 열리지 않음
+const KEYFILE_SIZE = 64;
+const MAX_KEYFILE_SIZE = 10 * 1024 * 1024;
+const KEYFILE_REQUIRED = "KEYFILE_REQUIRED";
+const KEYFILE_UNAVAILABLE = "KEYFILE_UNAVAILABLE";
+
+function keyfileError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// 새 랜덤 키 파일 생성 (기존 파일은 다른 금고의 키 파일일 수 있으므로 절대 덮어쓰지 않음)
+function generateKeyfile(filePath) {
+    const content = crypto.randomBytes(KEYFILE_SIZE);
+    try {
+        fs.writeFileSync(filePath, content, { flag: "wx", mode: 0o600 });
+    } catch (error) {
+        if (error.code === "EEXIST") throw new Error("A file already exists at this path");
+        throw error;
+    }
+    return digestOf(content);
+}
+
+// 키 파일을 읽어 digest 반환 (없거나 읽을 수 없으면 KEYFILE_UNAVAILABLE)
+function readKeyfileDigest(filePath) {
+    if (typeof filePath !== "string" || !filePath.trim()) {
+        throw keyfileError("This vault requires a keyfile", KEYFILE_REQUIRED);
+    }
+
+    let stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (error) {
+        throw keyfileError(`Keyfile not found: ${filePath}`, KEYFILE_UNAVAILABLE);
+    }
+    if (!stats.isFile()) throw keyfileError(`Keyfile is not a file: ${filePath}`, KEYFILE_UNAVAILABLE);
+    if (stats.size === 0) throw keyfileError(`Keyfile is empty: ${filePath}`, KEYFILE_UNAVAILABLE);
+    if (stats.size > MAX_KEYFILE_SIZE) throw keyfileError("Keyfile is too large (max 10 MB)", KEYFILE_UNAVAILABLE);
+
+    try {
+        return digestOf(fs.readFileSync(filePath));
+    } catch (error) {
+        throw keyfileError(`Cannot read keyfile: ${error.message}`, KEYFILE_UNAVAILABLE);
+    }
+}
+
+// 비밀번호 파생 키에 키 파일 digest를 섞어 최종 금고 키 생성
+function mixKeyfile(passwordKey, keyfileDigest) {
+    return crypto.createHmac("sha256", keyfileDigest).update(passwordKey).digest();
+}
+
+function digestOf(content) {
+    return crypto.createHash("sha256").update(content).digest();
+}
+
+module.exports = {
+    KEYFILE_REQUIRED,
+    KEYFILE_UNAVAILABLE,
+    generateKeyfile,
+    readKeyfileDigest,
+    mixKeyfile,
+    keyfileError,
+};
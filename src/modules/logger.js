@@ -1,5 +1,7 @@
 const fs = require("fs");
 const CryptoUtil = require("./crypto");
+const { writeFileAtomicSync, readBackupSync, backupPathOf } = require("./atomic-file");
+const { formatClient } = require("./process-info");
 
 class Logger {
     constructor(logPath) {
@@ -16,6 +18,20 @@ class Logger {
         this.encryptionKey = null;
     }
 
+    // 마스터 비밀번호 변경 시 기존 키로 읽은 로그를 새 키로 다시 암호화
+    // 키 변경 저널 안에서 호출되므로 저장하지 못하면 이전 키로 돌아가고 예외 (키 변경 전체를 되돌림)
+    rekey(newKey) {
+        const logs = this._readLogs();
+        const previousKey = this.encryptionKey;
+        this.encryptionKey = newKey;
+        try {
+            this._writeLogs(logs, { throwOnError: true });
+        } catch (error) {
+            this.encryptionKey = previousKey;
+            throw error;
+        }
+    }
+
     log(message, category = "app") {
         const timestamp = new Date().toISOString();
         const logEntry = {
@@ -34,8 +50,12 @@ class Logger {
         this._writeLogs(logs);
     }
 
-    logAccess(action, project, key) {
-        const message = `${action} - Project: ${project}, Key: ${key}`;
+    // client: 요청 프로세스 정보 (process-info.identifyPeer 결과, CLI 요청일 때만 전달)
+    logAccess(action, project, key, client) {
+        let message = `${action} - Project: ${project}, Key: ${key}`;
+        if (client !== undefined) {
+            message += `, Process: ${formatClient(client)}`;
+        }
         this.log(message, "access");
     }
 
@@ -90,6 +110,9 @@ class Logger {
     clearLogs() {
         if (fs.existsSync(this.logPath)) {
             fs.unlinkSync(this.logPath);
+            try {
+                fs.unlinkSync(backupPathOf(this.logPath));
+            } catch {}
             this.log("Log file cleared", "info");
         }
     }
@@ -110,6 +133,15 @@ class Logger {
                 const decryptedData = CryptoUtil.decryptJson(fileData, this.encryptionKey);
                 return decryptedData;
             } catch (error) {
+                // 손상된 경우 마지막 정상본(.bak) 사용
+                const backup = readBackupSync(this.logPath);
+                if (backup) {
+                    try {
+                        const restored = CryptoUtil.decryptJson(backup, this.encryptionKey);
+                        writeFileAtomicSync(this.logPath, backup, { backup: false });
+                        return restored;
+                    } catch {}
+                }
                 console.error("Failed to decrypt logs:", error.message);
                 return [];
             }
@@ -119,7 +151,8 @@ class Logger {
         }
     }
 
-    _writeLogs(logs) {
+    // options.throwOnError: 실패를 로그로 남기지 않고 예외로 전달
+    _writeLogs(logs, options = {}) {
         if (!this.encryptionKey) {
             console.warn("Encryption key not set - logs will not be saved");
             return;
@@ -127,11 +160,9 @@ class Logger {
 
         try {
             const dataToWrite = CryptoUtil.encryptJson(logs, this.encryptionKey);
-            fs.writeFileSync(this.logPath, dataToWrite);
-            try {
-                fs.chmodSync(this.logPath, 0o600);
-            } catch {}
+            writeFileAtomicSync(this.logPath, dataToWrite);
         } catch (error) {
+            if (options.throwOnError) throw new Error(`Failed to write logs: ${error.message}`);
             console.error("Failed to write logs:", error.message);
         }
     }
@@ -179,10 +210,7 @@ class Logger {
             const archivePath = `${basePath}_archive_${Date.now()}.enc`;
 
             const encryptedArchive = CryptoUtil.encryptJson(oldLogs, this.encryptionKey);
-            fs.writeFileSync(archivePath, encryptedArchive);
-            try {
-                fs.chmodSync(archivePath, 0o600);
-            } catch {}
+            writeFileAtomicSync(archivePath, encryptedArchive, { backup: false });
         }
 
         this._writeLogs(recentLogs);
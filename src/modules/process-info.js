@@ -0,0 +1,172 @@
+const fs = require("fs");
+const { execFile } = require("child_process");
+
+// 승인 요청을 보낸 프로세스 식별 (Linux 전용, 그 외 플랫폼이나 실패 시 null)
+// - TCP: /proc/net/tcp{,6}에서 클라이언트 쪽 소켓의 inode를 찾음
+// - 유닉스 소켓: 서버 쪽 소켓 inode로 `ss -xn`에서 상대편 inode를 찾음 (Node는 peer credentials를 제공하지 않음)
+// 찾은 inode를 열고 있는 프로세스를 /proc/*/fd에서 검색 (같은 사용자 프로세스만 읽을 수 있음)
+// 검색은 비동기로 하고(메인 프로세스를 막지 않음) 연결마다 한 번만 함 (keep-alive 연결의 다음 요청은 결과 재사용)
+const MAX_CMDLINE_LENGTH = 1000;
+const SS_TIMEOUT_MS = 2000;
+const peerLookups = new WeakMap(); // socket -> Promise<프로세스 정보 | null>
+
+function identifyPeer(socket, serverPort) {
+    if (process.platform !== "linux" || !socket) return Promise.resolve(null);
+
+    let lookup = peerLookups.get(socket);
+    if (!lookup) {
+        lookup = lookupPeer(socket, serverPort).catch(() => null);
+        peerLookups.set(socket, lookup);
+    }
+    return lookup;
+}
+
+async function lookupPeer(socket, serverPort) {
+    // 소켓 fd는 연결이 닫히기 전에 읽어 둠 (첫 await 전까지는 동기로 실행됨)
+    const inode = socket.remotePort ? await findTcpPeerInode(socket.remotePort, serverPort) : await findUnixPeerInode(socket);
+    if (!inode) return null;
+
+    const pid = await findPidBySocketInode(inode);
+    if (!pid) return null;
+
+    const info = describeProcess(pid);
+    info.sessionId = readSessionId(pid);
+    const parentPid = readParentPid(pid);
+    info.parent = parentPid ? describeProcess(parentPid) : null;
+    return info;
+}
+
+// 클라이언트 소켓: 로컬 포트 = 요청의 remotePort, 원격 포트 = 서버 포트
+async function findTcpPeerInode(clientPort, serverPort) {
+    for (const table of ["/proc/net/tcp", "/proc/net/tcp6"]) {
+        let lines;
+        try {
+            lines = (await fs.promises.readFile(table, "utf8")).split("\n").slice(1);
+        } catch {
+            continue;
+        }
+        for (const line of lines) {
+            const fields = line.trim().split(/\s+/);
+            if (fields.length < 10) continue;
+            const localPort = parseInt(fields[1].split(":")[1], 16);
+            const remotePort = parseInt(fields[2].split(":")[1], 16);
+            if (localPort === clientPort && remotePort === serverPort && fields[9] !== "0") {
+                return fields[9];
+            }
+        }
+    }
+    return null;
+}
+
+async function findUnixPeerInode(socket) {
+    const fd = socket._handle?.fd;
+    if (!Number.isInteger(fd) || fd < 0) return null;
+
+    const ownInode = socketInodeOf(`/proc/self/fd/${fd}`);
+    if (!ownInode) return null;
+
+    const stdout = await runSs();
+    if (!stdout) return null;
+
+    // "u_str ESTAB 0 0 <local path> <local inode> <peer path> <peer inode>"
+    for (const line of stdout.split("\n").slice(1)) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 8) continue;
+        if (fields[5] === ownInode && fields[7] !== "0") return fields[7];
+    }
+    return null;
+}
+
+// 실패하거나 시간 초과면 null
+function runSs() {
+    return new Promise((resolve) => {
+        execFile("ss", ["-xn"], { encoding: "utf8", timeout: SS_TIMEOUT_MS }, (error, stdout) => {
+            resolve(error ? null : stdout);
+        });
+    });
+}
+
+async function findPidBySocketInode(inode) {
+    const target = `socket:[${inode}]`;
+    for (const entry of await fs.promises.readdir("/proc")) {
+        if (!/^\d+$/.test(entry)) continue;
+        let fds;
+        try {
+            fds = await fs.promises.readdir(`/proc/${entry}/fd`);
+        } catch {
+            continue;
+        }
+        const links = await Promise.all(fds.map((fd) => fs.promises.readlink(`/proc/${entry}/fd/${fd}`).catch(() => null)));
+        if (links.includes(target)) return Number(entry);
+    }
+    return null;
+}
+
+function socketInodeOf(fdPath) {
+    try {
+        const match = /^socket:\[(\d+)\]$/.exec(fs.readlinkSync(fdPath));
+        return match ? match[1] : null;
+    } catch {
+        return null;
+    }
+}
+
+function describeProcess(pid) {
+    return {
+        pid,
+        name: readOptional(() => fs.readFileSync(`/proc/${pid}/comm`, "utf8").trim()),
+        exe: readOptional(() => fs.readlinkSync(`/proc/${pid}/exe`)),
+        cmdline: readOptional(() => {
+            const args = fs.readFileSync(`/proc/${pid}/cmdline`, "utf8").split("\0").filter(Boolean).join(" ");
+            return args.length > MAX_CMDLINE_LENGTH ? `${args.slice(0, MAX_CMDLINE_LENGTH)}...` : args;
+        }),
+        cwd: readOptional(() => fs.readlinkSync(`/proc/${pid}/cwd`)),
+    };
+}
+
+function readParentPid(pid) {
+    const status = readOptional(() => fs.readFileSync(`/proc/${pid}/status`, "utf8"));
+    const match = status && /^PPid:\s*(\d+)/m.exec(status);
+    const ppid = match ? Number(match[1]) : 0;
+    return ppid > 0 ? ppid : null;
+}
+
+// 터미널 세션 ID (/proc/<pid>/stat의 6번째 필드, 세션 리더의 PID)
+function readSessionId(pid) {
+    const stat = readOptional(() => fs.readFileSync(`/proc/${pid}/stat`, "utf8"));
+    if (!stat) return null;
+    // comm에 공백이나 괄호가 있을 수 있으므로 마지막 ')' 뒤부터 파싱: state ppid pgrp session ...
+    const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    const sessionId = Number(fields[3]);
+    return Number.isInteger(sessionId) && sessionId > 0 ? sessionId : null;
+}
+
+// 세션 리더가 아직 살아 있는지 (리더 프로세스의 세션 ID는 자기 PID)
+function isSessionAlive(sessionId) {
+    if (process.platform !== "linux" || !sessionId) return false;
+    return readSessionId(sessionId) === sessionId;
+}
+
+function readOptional(read) {
+    try {
+        return read() || null;
+    } catch {
+        return null;
+    }
+}
+
+// 로그용 한 줄 요약
+function formatClient(client) {
+    if (!client) return "unknown";
+    const parts = [`${client.exe || client.name || "?"} (PID ${client.pid})`];
+    if (client.cmdline) parts.push(`Cmd: ${client.cmdline}`);
+    if (client.cwd) parts.push(`Cwd: ${client.cwd}`);
+    if (client.parent) parts.push(`Parent: ${client.parent.exe || client.parent.name || "?"} (PID ${client.parent.pid})`);
+    return parts.join(", ");
+}
+
+module.exports = {
+    identifyPeer,
+    isSessionAlive,
+    formatClient,
+};
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const CryptoUtil = require("./crypto");
+
+// 복구 키: 비밀번호를 잊었을 때 시스템 금고를 여는 두 번째 열쇠 (recovery.enc)
+// - wrappedKey: 복구 키에서 파생한 키로 암호화한 금고 키 -> 복구 키로 금고 키를 꺼냄
+// - escrow: 금고 키로 암호화한 복구 파생 키 -> 비밀번호 변경으로 금고 키가 바뀌어도 복구 키 원문 없이 다시 감쌀 수 있음
+// 형식: 혼동하기 쉬운 문자(I, O, 0, 1)를 뺀 32진 문자 32자(160비트)를 4자씩 끊어 표시
+const RECOVERY_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const RECOVERY_KEY_LENGTH = 32;
+const RECOVERY_FILE_VERSION = 1;
+
+function generateRecoveryKey() {
+    const bytes = crypto.randomBytes(RECOVERY_KEY_LENGTH);
+    let key = "";
+    for (const byte of bytes) {
+        key += RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length];
+    }
+    return key.match(/.{4}/g).join("-");
+}
+
+// 사용자가 입력한 복구 키 정규화 (대소문자, 공백, 하이픈 무시)
+function normalizeRecoveryKey(input) {
+    const normalized = String(input ?? "")
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, "");
+    if (normalized.length !== RECOVERY_KEY_LENGTH || [...normalized].some((ch) => !RECOVERY_ALPHABET.includes(ch))) {
+        throw new Error("Invalid recovery key format");
+    }
+    return normalized;
+}
+
+// recovery.enc 내용 생성
+async function createRecoveryFile(vaultKey, recoveryKey) {
+    const header = CryptoUtil.createKdfHeader();
+    const wrappingKey = await CryptoUtil.deriveKeyFromHeader(normalizeRecoveryKey(recoveryKey), header);
+    return serialize(header, vaultKey, wrappingKey);
+}
+
+// 복구 키로 금고 키 꺼내기
+async function unwrapVaultKey(content, recoveryKey) {
+    const file = parse(content);
+    const wrappingKey = await CryptoUtil.deriveKeyFromHeader(normalizeRecoveryKey(recoveryKey), file.kdf);
+    try {
+        return Buffer.from(CryptoUtil.decrypt(Buffer.from(file.wrappedKey, "base64"), wrappingKey), "hex");
+    } catch (error) {
+        throw new Error("Invalid recovery key");
+    }
+}
+
+// 금고 키가 바뀌었을 때 같은 복구 키로 열리도록 다시 감쌈 (이전 금고 키 필요)
+function rewrapRecoveryFile(content, oldVaultKey, newVaultKey) {
+    const file = parse(content);
+    const wrappingKey = Buffer.from(CryptoUtil.decrypt(Buffer.from(file.escrow, "base64"), oldVaultKey), "hex");
+    return serialize(file.kdf, newVaultKey, wrappingKey);
+}
+
+function serialize(header, vaultKey, wrappingKey) {
+    return JSON.stringify({
+        v: RECOVERY_FILE_VERSION,
+        kdf: header,
+        wrappedKey: CryptoUtil.encrypt(vaultKey.toString("hex"), wrappingKey).toString("base64"),
+        escrow: CryptoUtil.encrypt(wrappingKey.toString("hex"), vaultKey).toString("base64"),
+    });
+}
+
+function parse(content) {
+    let file;
+    try {
+        file = JSON.parse(String(content));
+    } catch (error) {
+        throw new Error("Invalid recovery file");
+    }
+    if (!file || typeof file.wrappedKey !== "string" || typeof file.escrow !== "string" || !file.kdf) {
+        throw new Error("Invalid recovery file");
+    }
+    if (file.v > RECOVERY_FILE_VERSION) {
+        throw new Error("This recovery file was created by a newer version of LocalKeys");
+    }
+    file.kdf = CryptoUtil.parseKdfHeader(JSON.stringify(file.kdf));
+    return file;
+}
+
+module.exports = {
+    generateRecoveryKey,
+    normalizeRecoveryKey,
+    createRecoveryFile,
+    unwrapVaultKey,
+    rewrapRecoveryFile,
+};
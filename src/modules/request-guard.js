@@ -0,0 +1,126 @@
+// 로컬 서버 남용 방지 (설정의 apiProtection)
+// - requestsPerMinute: 클라이언트별 1분당 최대 요청 수 (넘으면 429)
+//   요청 프로세스 확인 전에 연결(접근 토큰이면 토큰)별로 같은 한도를 먼저 적용
+// - maxPendingApprovals: 클라이언트별로 동시에 기다릴 수 있는 승인 다이얼로그 수
+// - denialLimit / blockMinutes: 다이얼로그에서 연속으로 거부하면 그 클라이언트의 승인 요청을 일정 시간 자동 거부
+//   (요청 프로세스를 확인한 클라이언트만, 확인할 수 없으면 차단할 대상을 구분할 수 없음)
+// 클라이언트 구분은 clientKeyOf 참고, 상태는 메모리에만 보관 (서버를 다시 만들면 초기화)
+const WINDOW_MS = 60 * 1000;
+// 오래 쓰지 않은 클라이언트 상태 정리 기준
+const MAX_TRACKED_CLIENTS = 500;
+
+class RequestGuard {
+    // options: { enabled, requestsPerMinute, maxPendingApprovals, denialLimit, blockMinutes } (없으면 제한 없음)
+    constructor(options = null) {
+        this.clients = new Map(); // clientKey -> { requests, limited, pending, denials, blockedUntil }
+        this.configure(options);
+    }
+
+    configure(options) {
+        this.options = options && options.enabled ? { ...options } : null;
+    }
+
+    // 요청 속도 확인 -> { allowed, retryAfterMs, firstRejection }
+    // firstRejection: 제한에 걸린 뒤 첫 거부 (로그는 한 번만 남기기 위함)
+    checkRate(clientKey, now = Date.now()) {
+        if (!this.options) return { allowed: true, retryAfterMs: 0, firstRejection: false };
+
+        const state = this._state(clientKey, now);
+        state.requests = state.requests.filter((time) => now - time < WINDOW_MS);
+        if (state.requests.length >= this.options.requestsPerMinute) {
+            const firstRejection = !state.limited;
+            state.limited = true;
+            return { allowed: false, retryAfterMs: WINDOW_MS - (now - state.requests[0]), firstRejection };
+        }
+
+        state.limited = false;
+        state.requests.push(now);
+        return { allowed: true, retryAfterMs: 0, firstRejection: false };
+    }
+
+    // 승인 다이얼로그를 띄우기 전 확인 -> null(허용) 또는 { reason: "blocked" | "pending", retryAfterMs }
+    checkApproval(clientKey, now = Date.now()) {
+        if (!this.options) return null;
+
+        const state = this._state(clientKey, now);
+        if (state.blockedUntil > now) return { reason: "blocked", retryAfterMs: state.blockedUntil - now };
+        if (state.pending >= this.options.maxPendingApprovals) return { reason: "pending", retryAfterMs: 0 };
+        return null;
+    }
+
+    // 승인 대기 시작 -> 끝나면 호출할 함수 반환 (설정을 중간에 켜도 개수가 맞도록 항상 기록)
+    beginApproval(clientKey, now = Date.now()) {
+        const state = this._state(clientKey, now);
+        state.pending++;
+        return () => {
+            state.pending = Math.max(0, state.pending - 1);
+        };
+    }
+
+    // 다이얼로그 응답 기록 -> 이번 거부로 차단되었으면 차단 시간(ms), 아니면 0
+    recordDecision(clientKey, approved, now = Date.now()) {
+        const state = this._state(clientKey, now);
+        if (approved) {
+            state.denials = 0;
+            return 0;
+        }
+
+        state.denials++;
+        if (!this.options || state.denials < this.options.denialLimit) return 0;
+
+        const blockMs = this.options.blockMinutes * 60 * 1000;
+        state.denials = 0;
+        state.blockedUntil = now + blockMs;
+        return blockMs;
+    }
+
+    _state(clientKey, now) {
+        let state = this.clients.get(clientKey);
+        if (!state) {
+            if (this.clients.size >= MAX_TRACKED_CLIENTS) this._prune(now);
+            state = { requests: [], limited: false, pending: 0, denials: 0, blockedUntil: 0 };
+            this.clients.set(clientKey, state);
+        }
+        return state;
+    }
+
+    // 최근 요청·대기 중인 승인·차단이 없는 클라이언트 삭제
+    _prune(now) {
+        for (const [clientKey, state] of this.clients) {
+            const recent = state.requests.some((time) => now - time < WINDOW_MS);
+            if (!recent && state.pending === 0 && state.blockedUntil <= now) {
+                this.clients.delete(clientKey);
+            }
+        }
+    }
+}
+
+// 클라이언트 구분 키 (identifyPeer 결과 기준)
+// - 부모 프로세스: CLI는 요청마다 새 프로세스이므로 같은 셸·스크립트에서 반복 실행한 요청을 하나로 묶음
+// - 요청 프로세스를 확인할 수 없으면(Linux 외 플랫폼, 조회 실패) fallbackKey (보통 connectionKeyOf)
+//   모든 요청을 하나로 묶으면 한 스크립트가 다른 클라이언트의 한도까지 써 버림
+function clientKeyOf(client, fallbackKey) {
+    if (!client) return fallbackKey;
+    const owner = client.parent || client;
+    return `pid:${owner.pid}`;
+}
+
+// 연결 구분 키 (요청 프로세스를 확인하기 전의 속도 제한에 사용, keep-alive 연결은 같은 키)
+const connectionIds = new WeakMap();
+let nextConnectionId = 1;
+
+function connectionKeyOf(socket) {
+    if (!socket) return "conn:none";
+    let id = connectionIds.get(socket);
+    if (!id) {
+        id = nextConnectionId++;
+        connectionIds.set(socket, id);
+    }
+    return `conn:${id}`;
+}
+
+module.exports = {
+    RequestGuard,
+    clientKeyOf,
+    connectionKeyOf,
+};
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+
+// 앱 설정 (~/.localkeys/settings.json) - 앱과 헤드리스 에이전트(cli/agent.js)가 함께 사용
+// 파일의 값은 항상 normalizeSettings로 검증하고, 잘못된 값은 기본값으로 고쳐 다시 저장
+
+// 기본 설정값
+const DEFAULT_SETTINGS = {
+    checkForUpdates: true,
+    locale: "system",
+    showStatistics: true,
+    autoLock: {
+        enabled: true,
+        timeout: 30, // 분 단위
+    },
+    screenCaptureProtection: true,
+    /** 금고 파일 주기 동기화 간격(초): 5 또는 60 */
+    vaultDiskSyncIntervalSeconds: 5,
+    /** 금고 자동 스냅샷: frequency는 "change"(변경 시, 최소 10분 간격) 또는 "daily" */
+    backups: {
+        enabled: true,
+        frequency: "change",
+        maxSnapshots: 10,
+    },
+    /** 시스템 금고 키 파일 경로 (이 컴퓨터에서 마지막으로 사용한 경로를 잠금 화면에 미리 채움) */
+    keyfilePath: null,
+    /** CLI 요청 제한: 클라이언트별 분당 요청 수, 동시 승인 대기 수, 연속 거부 시 자동 거부(분) */
+    apiProtection: {
+        enabled: true,
+        requestsPerMinute: 120,
+        maxPendingApprovals: 5,
+        denialLimit: 3,
+        blockMinutes: 10,
+    },
+};
+
+function coerceBoolean(value, fallback) {
+    return typeof value === "boolean" ? value : fallback;
+}
+
+function coerceString(value, fallback) {
+    return typeof value === "string" && value.trim() ? value : fallback;
+}
+
+function coerceAutoLockTimeout(value, fallback) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return fallback;
+    const coerced = Math.floor(value);
+    if (coerced < 1) return 1;
+    if (coerced > 1440) return 1440;
+    return coerced;
+}
+
+function coerceVaultDiskSyncIntervalSeconds(value) {
+    const n = typeof value === "number" && Number.isFinite(value) ? Math.floor(value) : NaN;
+    if (n === 60) return 60;
+    return 5;
+}
+
+function coerceBackupFrequency(value) {
+    return value === "daily" ? "daily" : "change";
+}
+
+function coerceMaxSnapshots(value, fallback) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return fallback;
+    const coerced = Math.floor(value);
+    if (coerced < 1) return 1;
+    if (coerced > 100) return 100;
+    return coerced;
+}
+
+function coerceKeyfilePath(value) {
+    return typeof value === "string" && value.trim() ? value : null;
+}
+
+function coerceIntegerInRange(value, fallback, min, max) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return fallback;
+    return Math.min(max, Math.max(min, Math.floor(value)));
+}
+
+function normalizeSettings(settings) {
+    const safeSettings = settings && typeof settings === "object" && !Array.isArray(settings) ? settings : {};
+    const safeAutoLock =
+        safeSettings.autoLock && typeof safeSettings.autoLock === "object" && !Array.isArray(safeSettings.autoLock) ? safeSettings.autoLock : {};
+    const safeBackups =
+        safeSettings.backups && typeof safeSettings.backups === "object" && !Array.isArray(safeSettings.backups) ? safeSettings.backups : {};
+    const safeApiProtection =
+        safeSettings.apiProtection && typeof safeSettings.apiProtection === "object" && !Array.isArray(safeSettings.apiProtection)
+            ? safeSettings.apiProtection
+            : {};
+    const apiDefaults = DEFAULT_SETTINGS.apiProtection;
+
+    const normalized = {
+        checkForUpdates: coerceBoolean(safeSettings.checkForUpdates, DEFAULT_SETTINGS.checkForUpdates),
+        locale: coerceString(safeSettings.locale, DEFAULT_SETTINGS.locale),
+        showStatistics: coerceBoolean(safeSettings.showStatistics, DEFAULT_SETTINGS.showStatistics),
+        autoLock: {
+            enabled: coerceBoolean(safeAutoLock.enabled, DEFAULT_SETTINGS.autoLock.enabled),
+            timeout: coerceAutoLockTimeout(safeAutoLock.timeout, DEFAULT_SETTINGS.autoLock.timeout),
+        },
+        screenCaptureProtection: coerceBoolean(safeSettings.screenCaptureProtection, DEFAULT_SETTINGS.screenCaptureProtection),
+        vaultDiskSyncIntervalSeconds: coerceVaultDiskSyncIntervalSeconds(safeSettings.vaultDiskSyncIntervalSeconds),
+        backups: {
+            enabled: coerceBoolean(safeBackups.enabled, DEFAULT_SETTINGS.backups.enabled),
+            frequency: coerceBackupFrequency(safeBackups.frequency),
+            maxSnapshots: coerceMaxSnapshots(safeBackups.maxSnapshots, DEFAULT_SETTINGS.backups.maxSnapshots),
+        },
+        keyfilePath: coerceKeyfilePath(safeSettings.keyfilePath),
+        apiProtection: {
+            enabled: coerceBoolean(safeApiProtection.enabled, apiDefaults.enabled),
+            requestsPerMinute: coerceIntegerInRange(safeApiProtection.requestsPerMinute, apiDefaults.requestsPerMinute, 10, 1000),
+            maxPendingApprovals: coerceIntegerInRange(safeApiProtection.maxPendingApprovals, apiDefaults.maxPendingApprovals, 1, 20),
+            denialLimit: coerceIntegerInRange(safeApiProtection.denialLimit, apiDefaults.denialLimit, 1, 20),
+            blockMinutes: coerceIntegerInRange(safeApiProtection.blockMinutes, apiDefaults.blockMinutes, 1, 1440),
+        },
+    };
+
+    const repairs = [];
+    if (normalized.checkForUpdates !== safeSettings.checkForUpdates) repairs.push("checkForUpdates");
+    if (normalized.locale !== safeSettings.locale) repairs.push("locale");
+    if (normalized.showStatistics !== safeSettings.showStatistics) repairs.push("showStatistics");
+    if (normalized.autoLock.enabled !== safeAutoLock.enabled) repairs.push("autoLock.enabled");
+    if (normalized.autoLock.timeout !== safeAutoLock.timeout) repairs.push("autoLock.timeout");
+    if (normalized.screenCaptureProtection !== safeSettings.screenCaptureProtection) repairs.push("screenCaptureProtection");
+    if (normalized.vaultDiskSyncIntervalSeconds !== safeSettings.vaultDiskSyncIntervalSeconds) {
+        repairs.push("vaultDiskSyncIntervalSeconds");
+    }
+    if (normalized.backups.enabled !== safeBackups.enabled) repairs.push("backups.enabled");
+    if (normalized.backups.frequency !== safeBackups.frequency) repairs.push("backups.frequency");
+    if (normalized.backups.maxSnapshots !== safeBackups.maxSnapshots) repairs.push("backups.maxSnapshots");
+    if (normalized.keyfilePath !== safeSettings.keyfilePath) repairs.push("keyfilePath");
+    for (const field of Object.keys(normalized.apiProtection)) {
+        if (normalized.apiProtection[field] !== safeApiProtection[field]) repairs.push(`apiProtection.${field}`);
+    }
+
+    return { normalized, repairs };
+}
+
+// 설정 로드
+function loadSettingsFile(filePath) {
+    try {
+        if (fs.existsSync(filePath)) {
+            const data = fs.readFileSync(filePath, "utf8");
+            const parsed = JSON.parse(data);
+            const { normalized, repairs } = normalizeSettings(parsed);
+
+            if (repairs.length > 0) {
+                try {
+                    saveSettingsFile(filePath, normalized);
+                } catch {}
+                return { ...normalized, __loadStatus: "repaired", __repairs: repairs };
+            }
+
+            return { ...normalized, __loadStatus: "ok", __repairs: [] };
+        }
+    } catch (error) {
+        console.error("설정 로드 실패:", error);
+        const { normalized } = normalizeSettings();
+        try {
+            saveSettingsFile(filePath, normalized);
+        } catch {}
+        return { ...normalized, __loadStatus: "reset", __repairs: ["__invalidFile"] };
+    }
+    const { normalized } = normalizeSettings();
+    return { ...normalized, __loadStatus: "ok", __repairs: [] };
+}
+
+// 설정 저장
+function saveSettingsFile(filePath, settings) {
+    try {
+        const { normalized } = normalizeSettings(settings);
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        } catch {}
+
+        fs.writeFileSync(filePath, JSON.stringify(normalized, null, 2));
+        try {
+            fs.chmodSync(filePath, 0o600);
+        } catch {}
+        return { success: true };
+    } catch (error) {
+        console.error("설정 저장 실패:", error);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    loadSettingsFile,
+    saveSettingsFile,
+};
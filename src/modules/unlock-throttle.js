@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomicSync } = require("./atomic-file");
+
+// 잠금 해제 무차별 대입 방지: 실패 횟수에 따라 지수적으로 대기 시간을 늘림
+// 상태는 ~/.localkeys/unlock-attempts.json에 저장되어 앱을 다시 시작해도 초기화되지 않음
+// { failures, lockedUntil, attempts: [{ at, method }], omitted }
+// - failures/lockedUntil: 잠금 해제에 성공하면 초기화
+// - attempts: 암호화 로그에 아직 옮기지 못한 실패 기록 (최근 MAX_RECORDED_ATTEMPTS개, 넘친 개수는 omitted)
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+const MAX_RECORDED_ATTEMPTS = 50;
+
+class UnlockThrottle {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.state = this._load();
+    }
+
+    // 지금 시도할 수 있는지와 남은 대기 시간(ms)
+    check(now = Date.now()) {
+        const retryAfterMs = Math.max(0, this.state.lockedUntil - now);
+        return { allowed: retryAfterMs === 0, retryAfterMs };
+    }
+
+    // 실패 기록 후 다음 시도까지 대기 시간(ms) 반환
+    recordFailure(method, now = Date.now()) {
+        this.state.failures++;
+        this.state.attempts.push({ at: new Date(now).toISOString(), method });
+        if (this.state.attempts.length > MAX_RECORDED_ATTEMPTS) {
+            this.state.omitted += this.state.attempts.length - MAX_RECORDED_ATTEMPTS;
+            this.state.attempts = this.state.attempts.slice(-MAX_RECORDED_ATTEMPTS);
+        }
+
+        const delay = UnlockThrottle.delayFor(this.state.failures);
+        this.state.lockedUntil = delay > 0 ? now + delay : 0;
+        this._save();
+        return delay;
+    }
+
+    // 올바른 비밀번호·복구 키 확인 후 대기 해제
+    recordSuccess() {
+        if (this.state.failures === 0 && this.state.lockedUntil === 0) return;
+        this.state.failures = 0;
+        this.state.lockedUntil = 0;
+        this._save();
+    }
+
+    // 로그로 옮길 실패 기록을 꺼내고 비움 ({ attempts, omitted })
+    takeAttempts() {
+        const { attempts, omitted } = this.state;
+        if (attempts.length === 0 && omitted === 0) return { attempts: [], omitted: 0 };
+        this.state.attempts = [];
+        this.state.omitted = 0;
+        this._save();
+        return { attempts, omitted };
+    }
+
+    // 처음 FREE_ATTEMPTS번은 대기 없음, 이후 5초부터 두 배씩 (최대 15분)
+    static delayFor(failures) {
+        if (failures < FREE_ATTEMPTS) return 0;
+        return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+    }
+
+    _load() {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            return {
+                failures: Number.isInteger(parsed.failures) && parsed.failures > 0 ? parsed.failures : 0,
+                lockedUntil: typeof parsed.lockedUntil === "number" && Number.isFinite(parsed.lockedUntil) ? parsed.lockedUntil : 0,
+                attempts: Array.isArray(parsed.attempts)
+                    ? parsed.attempts.filter((a) => a && typeof a.at === "string").slice(-MAX_RECORDED_ATTEMPTS)
+                    : [],
+                omitted: Number.isInteger(parsed.omitted) && parsed.omitted > 0 ? parsed.omitted : 0,
+            };
+        } catch (error) {
+            // 파일이 없거나 손상되었으면 새로 시작
+            return { failures: 0, lockedUntil: 0, attempts: [], omitted: 0 };
+        }
+    }
+
+    _save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            writeFileAtomicSync(this.filePath, JSON.stringify(this.state, null, 2), { backup: false });
+        } catch (error) {
+            console.error("Failed to save unlock attempts:", error.message);
+        }
+    }
+}
+
+module.exports = UnlockThrottle;
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const CryptoUtil = require("./crypto");
+const { writeFileAtomicSync } = require("./atomic-file");
+
+// 금고 스냅샷 저장소: <금고 폴더>/backups/<생성시각>-<사유>.enc
+// 스냅샷은 vault.enc 암호문을 그대로 복사하므로 금고와 같은 키로만 열림 (rekey 시 키 변경 저널 안에서 함께 재암호화)
+const BACKUPS_DIR = "backups";
+const SNAPSHOT_FILE_PATTERN = /^(\d{13})-([a-z]+)\.enc$/;
+
+class VaultBackup {
+    constructor(dataDir) {
+        this.backupsDir = path.join(dataDir, BACKUPS_DIR);
+    }
+
+    // 최신순 스냅샷 목록 [{ id, createdAt, reason, size }]
+    list() {
+        let names;
+        try {
+            names = fs.readdirSync(this.backupsDir);
+        } catch (error) {
+            return [];
+        }
+
+        const snapshots = [];
+        for (const name of names) {
+            const match = SNAPSHOT_FILE_PATTERN.exec(name);
+            if (!match) continue;
+            let size = 0;
+            try {
+                size = fs.statSync(path.join(this.backupsDir, name)).size;
+            } catch (error) {
+                continue;
+            }
+            snapshots.push({
+                id: name.slice(0, -4),
+                createdAt: new Date(Number(match[1])).toISOString(),
+                reason: match[2],
+                size,
+            });
+        }
+        return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+    }
+
+    latestCreatedAt() {
+        const [latest] = this.list();
+        return latest ? new Date(latest.createdAt).getTime() : null;
+    }
+
+    // 암호문 스냅샷 저장 후 maxSnapshots개만 남기고 오래된 것부터 삭제
+    create(encryptedData, reason, maxSnapshots) {
+        fs.mkdirSync(this.backupsDir, { recursive: true });
+
+        let timestamp = Date.now();
+        while (fs.existsSync(this._pathOf(`${timestamp}-${reason}`))) {
+            timestamp++;
+        }
+        const id = `${timestamp}-${reason}`;
+        writeFileAtomicSync(this._pathOf(id), encryptedData, { backup: false });
+
+        this.prune(maxSnapshots);
+        return id;
+    }
+
+    read(id) {
+        return fs.readFileSync(this._pathOf(id));
+    }
+
+    prune(maxSnapshots) {
+        if (!Number.isInteger(maxSnapshots) || maxSnapshots < 1) return;
+        for (const snapshot of this.list().slice(maxSnapshots)) {
+            try {
+                fs.unlinkSync(this._pathOf(snapshot.id));
+            } catch (error) {
+                console.error("Failed to remove old snapshot:", error.message);
+            }
+        }
+    }
+
+    // 키 변경 저널에 넣을 스냅샷 파일 이름 (금고 폴더 기준)
+    journalFiles() {
+        return this.list().map((snapshot) => path.join(BACKUPS_DIR, `${snapshot.id}.enc`));
+    }
+
+    // 금고 키 변경 시 스냅샷도 새 키로 재암호화
+    // 이전 키로도 열리지 않던 스냅샷은 그대로 둠 (목록에 열 수 없음으로 표시됨)
+    // 읽거나 쓰지 못하면 예외 (키 변경 전체를 되돌려 스냅샷이 이전 키에 남지 않도록)
+    rekey(oldKey, newKey) {
+        for (const snapshot of this.list()) {
+            const encryptedData = this.read(snapshot.id);
+            let data;
+            try {
+                data = CryptoUtil.decryptJson(encryptedData, oldKey);
+            } catch (error) {
+                continue;
+            }
+            try {
+                writeFileAtomicSync(this._pathOf(snapshot.id), CryptoUtil.encryptJson(data, newKey), { backup: false });
+            } catch (error) {
+                throw new Error(`Failed to re-encrypt snapshot ${snapshot.id}: ${error.message}`);
+            }
+        }
+    }
+
+    _pathOf(id) {
+        if (typeof id !== "string" || !SNAPSHOT_FILE_PATTERN.test(`${id}.enc`)) {
+            throw new Error("Invalid snapshot id");
+        }
+        return path.join(this.backupsDir, `${id}.enc`);
+    }
+}
+
+module.exports = VaultBackup;
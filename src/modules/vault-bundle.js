@@ -0,0 +1,70 @@
+const CryptoUtil = require("./crypto");
+
+// 금고 전체 내보내기 파일(.lkbackup): 컴퓨터 이전·오프라인 보관용
+// 금고 비밀번호와 별개인 내보내기 암호로 보호되며, 파일 자체에 KDF 헤더가 있어 어느 금고로든 가져올 수 있음
+// { format, version, kdf: KDF 헤더, payload: base64(IV + AuthTag + 암호문) }
+// 암호문 안: { exportedAt, vaultName, vault: 금고 데이터(프로젝트, 시크릿 메타데이터·히스토리, 즐겨찾기) }
+const BUNDLE_FORMAT = "localkeys-backup";
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = "lkbackup";
+
+async function createVaultBundle(vaultData, passphrase, meta = {}) {
+    if (typeof passphrase !== "string" || passphrase.length === 0) {
+        throw new Error("Export passphrase is required");
+    }
+
+    const header = CryptoUtil.createKdfHeader();
+    const key = await CryptoUtil.deriveKeyFromHeader(passphrase, header);
+    const payload = CryptoUtil.encryptJson(
+        {
+            exportedAt: new Date().toISOString(),
+            vaultName: meta.vaultName ?? null,
+            vault: vaultData,
+        },
+        key
+    );
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        kdf: header,
+        payload: payload.toString("base64"),
+    };
+    return Buffer.from(JSON.stringify(bundle, null, 2), "utf8");
+}
+
+// 내보내기 파일을 열어 { exportedAt, vaultName, vault } 반환
+async function openVaultBundle(content, passphrase) {
+    let bundle;
+    try {
+        bundle = JSON.parse(Buffer.isBuffer(content) ? content.toString("utf8") : String(content));
+    } catch (error) {
+        throw new Error("Not a LocalKeys backup file");
+    }
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || typeof bundle.payload !== "string") {
+        throw new Error("Not a LocalKeys backup file");
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error("This backup was created by a newer version of LocalKeys");
+    }
+
+    const header = CryptoUtil.parseKdfHeader(JSON.stringify(bundle.kdf));
+    const key = await CryptoUtil.deriveKeyFromHeader(String(passphrase ?? ""), header);
+
+    let contents;
+    try {
+        contents = CryptoUtil.decryptJson(Buffer.from(bundle.payload, "base64"), key);
+    } catch (error) {
+        throw new Error("Incorrect passphrase or corrupted backup file");
+    }
+    if (!contents || !contents.vault || typeof contents.vault !== "object") {
+        throw new Error("Backup file does not contain vault data");
+    }
+    return contents;
+}
+
+module.exports = {
+    BUNDLE_EXTENSION,
+    createVaultBundle,
+    openVaultBundle,
+};
@@ -2,12 +2,16 @@ const fs = require("fs");
 const path = require("path");
 const Vault = require("./vault");
 const CryptoUtil = require("./crypto");
+const { writeFileAtomicSync, readFileWithRetrySync, readBackupSync } = require("./atomic-file");
 
 // vaults.enc: 시스템 금고 키로 암호화된 외부 금고 목록 및 각 금고의 복호화 키 저장
 const VAULTS_CONFIG_FILE = "vaults.enc";
+// 시스템 금고 키로 암호화된 접근 로그 (src/main.js, cli/agent.js의 Logger)
+const LOGS_FILE = "logs.enc";
 const INVALID_NAME_CHARS = /[\/\\*?"<>|]/;
 const SYSTEM_VAULT_ID = "system";
 const SYSTEM_VAULT_NAME = "System";
+const TOKEN_USE_SAVE_INTERVAL_MS = 60 * 1000;
 
 class VaultManager {
     constructor(localkeysDir) {
@@ -15,11 +19,21 @@ class VaultManager {
         this.configPath = path.join(localkeysDir, VAULTS_CONFIG_FILE);
 
         this.systemVault = null; // 시스템 금고 인스턴스
-        this.vaultsConfig = null; // 잠금 해제 후 복호화된 설정 ({ version, otherVaults })
+        this.vaultsConfig = null; // 잠금 해제 후 복호화된 설정 ({ version, otherVaults, accessPolicies, accessTokens })
         this.vaults = new Map(); // vaultId -> Vault instance
         this.activeVaultId = SYSTEM_VAULT_ID;
+        // 저장된 키가 더 이상 맞지 않는(다른 컴퓨터에서 비밀번호가 바뀐) 외부 금고 ID
+        this.needsPasswordVaultIds = new Set();
+        // 접근 토큰 ID -> lastUsedAt을 마지막으로 vaults.enc에 저장한 시각
+        this.tokenUseSavedAt = new Map();
         /** @type {((payload: { vaultId: string | null; reason?: string }) => void) | null} */
         this._conflictNotifier = null;
+        /** @type {((vaultId: string | null, vault: object, reason: string) => void) | null} */
+        this._changeNotifier = null;
+        /** @type {((previousKey: Buffer, newKey: Buffer) => void) | null} */
+        this._systemKeyChangeHandler = null;
+        // 모든 금고에 적용할 자동 스냅샷 정책 (settings.json의 backups)
+        this.backupPolicy = null;
     }
 
     init() {
@@ -30,8 +44,27 @@ class VaultManager {
         this._conflictNotifier = typeof fn === "function" ? fn : null;
     }
 
-    _wireVaultConflict(vault) {
+    // 금고 내용 변경 알림 (reason: "loaded" | "changed" | "locked")
+    setChangeNotifier(fn) {
+        this._changeNotifier = typeof fn === "function" ? fn : null;
+    }
+
+    // 시스템 키가 바뀔 때 logs.enc를 새 키로 다시 저장하는 함수 (키 변경 저널 안에서 호출되어 실패하면 함께 되돌려짐)
+    setSystemKeyChangeHandler(fn) {
+        this._systemKeyChangeHandler = typeof fn === "function" ? fn : null;
+    }
+
+    setBackupPolicy(policy) {
+        this.backupPolicy = policy;
+        for (const vault of this.vaults.values()) {
+            vault.setBackupPolicy(policy);
+        }
+    }
+
+    // 새 금고 인스턴스에 충돌·변경 알림과 백업 정책 연결
+    _wireVault(vault) {
         if (!vault) return;
+        if (this.backupPolicy) vault.setBackupPolicy(this.backupPolicy);
         vault.setConflictNotifier((payload) => {
             if (this._conflictNotifier) {
                 this._conflictNotifier({
@@ -40,6 +73,15 @@ class VaultManager {
                 });
             }
         });
+        vault.setChangeNotifier((reason) => {
+            if (this._changeNotifier) {
+                this._changeNotifier(vault.getVaultId(), vault, reason);
+            }
+        });
+        // 연결 전에 이미 열린 금고는 지금 상태를 기준으로 알림
+        if (!vault.isLocked && this._changeNotifier) {
+            this._changeNotifier(vault.getVaultId(), vault, "loaded");
+        }
     }
 
     async reloadVaultFromDisk(vaultId) {
@@ -51,43 +93,105 @@ class VaultManager {
     }
 
     // 시스템 금고 최초 설정 (비밀번호 최초 등록)
-    async setupSystemVault(password) {
+    // options.recoveryKey: 복구 키 생성 여부 (생성 시 반환값의 recoveryKey로 한 번만 전달)
+    // options.keyfile: 키 파일 digest (지정 시 잠금 해제에 키 파일도 필요)
+    async setupSystemVault(password, options = {}) {
         this._ensureSystemVaultInstance();
         if (this.systemVault.exists()) {
             throw new Error("System vault already exists");
         }
-        await this.systemVault.setup(password);
+        const result = await this.systemVault.setup(password, {
+            recoveryKey: options.recoveryKey === true,
+            keyfile: options.keyfile ?? null,
+        });
         this.vaultsConfig = this._defaultVaultsConfig();
         this.saveConfig();
+        return result;
+    }
+
+    hasSystemRecoveryKey() {
+        this._ensureSystemVaultInstance();
+        return this.systemVault.hasRecoveryKey();
     }
 
-    // 시스템 금고 잠금 해제-> vaults.enc 복호화-> 외부 금고 자동 잠금 해제
-    async unlockAll(password) {
+    systemRequiresKeyfile() {
+        this._ensureSystemVaultInstance();
+        return this.systemVault.requiresKeyfile();
+    }
+
+    // 시스템 금고 잠금 해제-> vaults.enc 복호화-> (필요 시 KDF 업그레이드)-> 외부 금고 자동 잠금 해제
+    // onProgress({ phase: "deriving" | "upgrading" | "resetting" | "vaults", done?, total? })로 단계별 진행 상황 전달
+    // options.keyfile: 시스템 금고 키 파일 digest
+    async unlockAll(password, onProgress = null, options = {}) {
+        const report = (progress) => {
+            try {
+                onProgress?.(progress);
+            } catch {}
+        };
+
         this._ensureSystemVaultInstance();
-        await this.systemVault.unlock(password);
+        report({ phase: "deriving" });
+        await this.systemVault.unlock(password, { keyfile: options.keyfile ?? null });
 
         // 시스템 금고를 vaults Map에 다시 등록 (lockAll 후 사라졌을 수 있음)
         this.vaults.set(SYSTEM_VAULT_ID, this.systemVault);
 
         this._loadVaultsConfig(this.systemVault.key);
 
-        // 외부 금고 자동 잠금 해제 (저장된 키 사용) - 병렬 처리
+        // 기존 PBKDF2 시스템 금고는 같은 비밀번호로 새 KDF로 재암호화 (외부 금고는 구버전 팀원 호환을 위해 유지)
+        if (this.systemVault.needsKdfUpgrade()) {
+            report({ phase: "upgrading" });
+            try {
+                await this.systemVault.rekey(password, this._systemKeyChangeOptions());
+            } catch (err) {
+                console.error("Failed to upgrade key derivation:", err.message);
+            }
+        }
+
+        await this._unlockStoredVaults(report);
+    }
+
+    // 복구 키로 시스템 금고만 열고 vaults.enc 복호화 (외부 금고는 새 비밀번호 설정 후 completeRecovery에서 열림)
+    async unlockSystemWithRecoveryKey(recoveryKey) {
+        this._ensureSystemVaultInstance();
+        await this.systemVault.unlockWithRecoveryKey(recoveryKey);
+        this.vaults.set(SYSTEM_VAULT_ID, this.systemVault);
+        this._loadVaultsConfig(this.systemVault.key);
+    }
+
+    // 복구 키로 연 뒤 새 마스터 비밀번호 설정 -> 외부 금고 자동 잠금 해제
+    // 키 파일을 잃어버린 경우에도 복구할 수 있도록 키 파일 요구는 해제됨 (필요하면 설정에서 다시 지정)
+    async completeRecovery(newPassword, onProgress = null) {
+        const report = (progress) => {
+            try {
+                onProgress?.(progress);
+            } catch {}
+        };
+
+        this._ensureSystemVaultInstance();
+        if (this.systemVault.isLocked) throw new Error("Vault is locked");
+
+        report({ phase: "resetting" });
+        await this.systemVault.rekey(newPassword, { ...this._systemKeyChangeOptions(), keyfile: null });
+
+        await this._unlockStoredVaults(report);
+    }
+
+    // 외부 금고 자동 잠금 해제 (저장된 키 사용) - 병렬 처리
+    async _unlockStoredVaults(report) {
+        const entries = this.vaultsConfig.otherVaults.filter((v) => v.encryptionKey);
+        let done = 0;
+        report({ phase: "vaults", done, total: entries.length });
         await Promise.all(
-            this.vaultsConfig.otherVaults
-                .filter((v) => v.encryptionKey)
-                .map(async (vaultEntry) => {
-                    try {
-                        const vault = new Vault(vaultEntry.path);
-                        if (!vault.exists()) return;
-                        const keyBuffer = Buffer.from(vaultEntry.encryptionKey, "hex");
-                        await vault.unlockWithKey(keyBuffer);
-                        vault.setVaultId(vaultEntry.id);
-                        this._wireVaultConflict(vault);
-                        this.vaults.set(vaultEntry.id, vault);
-                    } catch (err) {
-                        console.error(`Failed to auto-unlock vault "${vaultEntry.name}":`, err.message);
-                    }
-                }),
+            entries.map(async (vaultEntry) => {
+                try {
+                    await this._reactivateVault(vaultEntry.id, { throwOnError: true });
+                } catch (err) {
+                    console.error(`Failed to auto-unlock vault "${vaultEntry.name}":`, err.message);
+                }
+                done++;
+                report({ phase: "vaults", done, total: entries.length });
+            }),
         );
     }
 
@@ -111,6 +215,7 @@ class VaultManager {
                     name: v.name,
                     path: v.path,
                     isSystem: false,
+                    hasKeyfile: Boolean(v.keyfileDigest),
                     isActive: v.id === this.activeVaultId,
                     status: this.getVaultStatus(v.id),
                 });
@@ -132,6 +237,11 @@ class VaultManager {
         return this.activeVaultId;
     }
 
+    getVaultName(vaultId) {
+        if (vaultId === SYSTEM_VAULT_ID) return SYSTEM_VAULT_NAME;
+        return this.vaultsConfig?.otherVaults.find((v) => v.id === vaultId)?.name ?? null;
+    }
+
     // 금고 전환 (오프라인 복귀 시 저장된 키로 자동 재잠금 해제)
     async switchVault(vaultId) {
         if (vaultId === SYSTEM_VAULT_ID) {
@@ -149,9 +259,16 @@ class VaultManager {
         }
 
         let vault = this.vaults.get(vaultId);
+        if (vault && !vault.isLocked && vault.hasKeyChangedOnDisk()) {
+            await this.markVaultKeyChanged(vaultId);
+            vault = null;
+        }
         if (!vault || vault.isLocked) {
             vault = await this._reactivateVault(vaultId);
         }
+        if (this.needsPasswordVaultIds.has(vaultId)) {
+            throw new Error(`The password of vault '${vaultEntry.name}' was changed. Enter the new password to unlock it.`);
+        }
         if (!vault || vault.isLocked) {
             throw new Error(`Vault '${vaultEntry.name}' is not unlocked`);
         }
@@ -161,7 +278,8 @@ class VaultManager {
     }
 
     // 새 외부 금고 생성 (별도 비밀번호로 암호화, 키를 vaults.enc에 저장)
-    async createVault(name, folderPath, vaultPassword) {
+    // options.keyfile: 키 파일 digest (다른 컴퓨터에서 가져올 때 비밀번호와 함께 필요)
+    async createVault(name, folderPath, vaultPassword, options = {}) {
         this._validateVaultName(name);
         if (!this.vaultsConfig) throw new Error("Vault config not loaded");
         if (this.vaultsConfig.otherVaults.some((v) => v.name === name)) throw new Error(`Vault name '${name}' already exists`);
@@ -171,7 +289,7 @@ class VaultManager {
 
         fs.mkdirSync(lkvPath, { recursive: true });
         const newVault = new Vault(lkvPath);
-        await newVault.setup(vaultPassword);
+        await newVault.setup(vaultPassword, { keyfile: options.keyfile ?? null });
 
         return this._registerVaultEntry(name, lkvPath, newVault);
     }
@@ -179,7 +297,7 @@ class VaultManager {
     // 기존 외부 금고 가져오기
     // - 새 컴퓨터: vaultPassword 필수 (외부 금고의 비밀번호로 잠금 해제 후 키를 vaults.enc에 저장)
     // - 이미 추가된 컴퓨터: vaults.enc에 키가 있어 자동 잠금 해제 (이 메서드는 새 추가에만 사용)
-    async importVault(name, lkvPath, vaultPassword) {
+    async importVault(name, lkvPath, vaultPassword, options = {}) {
         this._validateVaultName(name);
         if (!this.vaultsConfig) throw new Error("Vault config not loaded");
         if (this.vaultsConfig.otherVaults.some((v) => v.name === name)) throw new Error(`Vault name '${name}' already exists`);
@@ -188,12 +306,91 @@ class VaultManager {
         const testVault = new Vault(lkvPath);
         if (!testVault.exists()) throw new Error("No valid vault found at the specified path");
 
-        // 비밀번호로 잠금 해제해 유효성 검증 및 키 획득
-        await testVault.unlock(vaultPassword);
+        // 비밀번호(+키 파일)로 잠금 해제해 유효성 검증 및 키 획득
+        await testVault.unlock(vaultPassword, { keyfile: options.keyfile ?? null });
 
         return this._registerVaultEntry(name, lkvPath, testVault);
     }
 
+    // 외부 금고 비밀번호 변경 (새 키로 vault.enc 재암호화 후 vaults.enc의 저장 키 갱신)
+    // 다른 컴퓨터는 저장된 키로 열리지 않게 되어 needs_password 상태로 새 비밀번호를 요청받음
+    // options.keyfile: 새 키 파일 digest, null이면 키 파일 해제. 생략 시 현재 키 파일 유지
+    async changeVaultPassword(vaultId, newPassword, options = {}) {
+        if (vaultId === SYSTEM_VAULT_ID) throw new Error("Use the master password change for the System vault");
+        if (!this.vaultsConfig) throw new Error("Vault config not loaded");
+
+        const vaultEntry = this.vaultsConfig.otherVaults.find((v) => v.id === vaultId);
+        if (!vaultEntry) throw new Error(`Vault '${vaultId}' not found`);
+
+        let vault = this.vaults.get(vaultId);
+        if (!vault || vault.isLocked) {
+            vault = await this._reactivateVault(vaultId);
+        }
+        if (!vault || vault.isLocked) {
+            throw new Error(`Vault '${vaultEntry.name}' is not unlocked`);
+        }
+
+        // 다른 팀원이 구버전 앱으로 열고 있을 수 있으므로 KDF 형식은 유지
+        // 새 키를 vaults.enc에 저장한 뒤에 금고의 키 변경을 확정 (저장 실패 시 금고도 이전 키로 되돌림)
+        const previousEntry = { ...vaultEntry };
+        await vault.rekey(newPassword, {
+            keepKdf: true,
+            keyfile: options.keyfile,
+            writeDependents: () => {
+                this._storeVaultKey(vaultEntry, vault);
+                try {
+                    this._writeConfig();
+                } catch (error) {
+                    Object.assign(vaultEntry, previousEntry);
+                    if (!previousEntry.keyfileDigest) delete vaultEntry.keyfileDigest;
+                    throw error;
+                }
+            },
+        });
+    }
+
+    // 비밀번호가 바뀐 외부 금고를 새 비밀번호로 열고 저장된 키 교체
+    async unlockVaultWithPassword(vaultId, password, options = {}) {
+        if (vaultId === SYSTEM_VAULT_ID) throw new Error("Cannot unlock the System vault separately");
+        if (!this.vaultsConfig) throw new Error("Vault config not loaded");
+
+        const vaultEntry = this.vaultsConfig.otherVaults.find((v) => v.id === vaultId);
+        if (!vaultEntry) throw new Error(`Vault '${vaultId}' not found`);
+        if (!this.checkVaultAvailability(vaultId)) throw new Error(`Vault '${vaultEntry.name}' is offline`);
+
+        const vault = new Vault(vaultEntry.path);
+        await vault.unlock(password, { keyfile: options.keyfile ?? null });
+        vault.setVaultId(vaultEntry.id);
+        this._wireVault(vault);
+
+        const previous = this.vaults.get(vaultId);
+        if (previous && previous !== vault && !previous.isLocked) {
+            await previous.lock().catch(() => {});
+        }
+
+        this.vaults.set(vaultId, vault);
+        this.needsPasswordVaultIds.delete(vaultId);
+        this._storeVaultKey(vaultEntry, vault);
+        this.saveConfig();
+    }
+
+    // 주기 동기화 중 salt.txt 변경(다른 컴퓨터에서 rekey)이 감지되면 호출: 금고를 닫고 새 비밀번호를 요구
+    async markVaultKeyChanged(vaultId) {
+        if (vaultId === SYSTEM_VAULT_ID) return;
+
+        const vault = this.vaults.get(vaultId);
+        this.vaults.delete(vaultId);
+        this.needsPasswordVaultIds.add(vaultId);
+
+        if (this.activeVaultId === vaultId) {
+            this.activeVaultId = SYSTEM_VAULT_ID;
+        }
+
+        if (vault && !vault.isLocked) {
+            await vault.lock().catch(() => {});
+        }
+    }
+
     // 금고 이름 변경
     renameVault(vaultId, newName) {
         if (vaultId === SYSTEM_VAULT_ID) throw new Error("Cannot rename the System vault");
@@ -231,6 +428,7 @@ class VaultManager {
         }
 
         this.vaults.delete(vaultId);
+        this.needsPasswordVaultIds.delete(vaultId);
         this.vaultsConfig.otherVaults = this.vaultsConfig.otherVaults.filter((v) => v.id !== vaultId);
         this.saveConfig();
     }
@@ -238,6 +436,7 @@ class VaultManager {
     // 금고 상태 조회
     getVaultStatus(vaultId) {
         if (!this.checkVaultAvailability(vaultId)) return "offline";
+        if (this.needsPasswordVaultIds.has(vaultId)) return "needs_password";
 
         const vault = this.vaults.get(vaultId);
         if (!vault) return "locked";
@@ -306,46 +505,122 @@ class VaultManager {
         return this.vaults.get(vaultId) || null;
     }
 
+    // CLI 접근 정책 (vaults.enc에 함께 저장, 형식은 access-policy.js 참고)
+    getAccessPolicies() {
+        return Array.isArray(this.vaultsConfig?.accessPolicies) ? this.vaultsConfig.accessPolicies : [];
+    }
+
+    setAccessPolicies(policies) {
+        if (!this.vaultsConfig) throw new Error("Vault config not loaded");
+        this.vaultsConfig.accessPolicies = policies;
+        this.saveConfig();
+    }
+
+    // CLI 접근 토큰 (vaults.enc에 해시로 저장, 형식은 access-tokens.js 참고)
+    getAccessTokens() {
+        return Array.isArray(this.vaultsConfig?.accessTokens) ? this.vaultsConfig.accessTokens : [];
+    }
+
+    setAccessTokens(tokens) {
+        if (!this.vaultsConfig) throw new Error("Vault config not loaded");
+        this.vaultsConfig.accessTokens = tokens;
+        this.saveConfig();
+    }
+
+    // 토큰 마지막 사용 시각 기록 (vaults.enc 쓰기는 토큰마다 1분에 한 번까지)
+    touchAccessToken(id, now = Date.now()) {
+        const token = this.getAccessTokens().find((t) => t.id === id);
+        if (!token) return;
+        token.lastUsedAt = new Date(now).toISOString();
+        const savedAt = this.tokenUseSavedAt.get(id) || 0;
+        if (now - savedAt >= TOKEN_USE_SAVE_INTERVAL_MS) {
+            this.tokenUseSavedAt.set(id, now);
+            this.saveConfig();
+        }
+    }
+
     // vaults.enc를 시스템 금고 키로 암호화하여 저장
-    saveConfig() {
+    // options.backup: false면 기존 vaults.enc를 .bak으로 옮기지 않음 (복호화되지 않는 파일을 덮어쓸 때)
+    saveConfig(options = {}) {
         if (!this.systemVault || this.systemVault.isLocked || !this.systemVault.key) {
             console.error("VaultManager: 시스템 금고가 잠겨있어 config를 저장할 수 없습니다");
             return;
         }
 
-        if (!this.vaultsConfig) {
-            this.vaultsConfig = this._defaultVaultsConfig();
-        }
-
         try {
-            fs.mkdirSync(this.localkeysDir, { recursive: true });
-            const encrypted = CryptoUtil.encryptJson(this.vaultsConfig, this.systemVault.key);
-            fs.writeFileSync(this.configPath, encrypted);
-            try {
-                fs.chmodSync(this.configPath, 0o600);
-            } catch {}
+            this._writeConfig(options);
         } catch (error) {
             console.error("VaultManager: config 저장 실패:", error.message);
         }
     }
 
+    // 시스템 금고 비밀번호 변경 (vault.enc 재암호화 후 같은 키를 쓰는 vaults.enc도 새 키로 다시 저장)
+    async changeSystemPassword(oldPassword, newPassword) {
+        this._ensureSystemVaultInstance();
+        if (this.systemVault.isLocked) throw new Error("Vault is locked");
+        if (!this.vaultsConfig) throw new Error("Vault config not loaded");
+
+        return this.systemVault.changePassword(oldPassword, newPassword, this._systemKeyChangeOptions());
+    }
+
+    // 시스템 금고 키 파일 설정·교체·해제 (현재 비밀번호 확인 필요)
+    async changeSystemKeyfile(password, keyfileDigest) {
+        this._ensureSystemVaultInstance();
+        if (this.systemVault.isLocked) throw new Error("Vault is locked");
+        if (!this.vaultsConfig) throw new Error("Vault config not loaded");
+
+        return this.systemVault.changeKeyfile(password, keyfileDigest, this._systemKeyChangeOptions());
+    }
+
+    // 시스템 금고 키 변경: 같은 키를 쓰는 vaults.enc, logs.enc도 키 변경 저널 안에서 새 키로 다시 저장
+    // (vaults.enc를 쓰지 못하면 외부 금고 키를 잃지 않도록 금고 키도 되돌려짐)
+    _systemKeyChangeOptions() {
+        return {
+            journalFiles: [VAULTS_CONFIG_FILE, LOGS_FILE],
+            writeDependents: (previous) => {
+                this._writeConfig();
+                this._systemKeyChangeHandler?.(previous.key, this.systemVault.key);
+            },
+        };
+    }
+
     // --- private helpers ---
 
+    _writeConfig(options = {}) {
+        if (!this.vaultsConfig) {
+            this.vaultsConfig = this._defaultVaultsConfig();
+        }
+
+        fs.mkdirSync(this.localkeysDir, { recursive: true });
+        const encrypted = CryptoUtil.encryptJson(this.vaultsConfig, this.systemVault.key);
+        writeFileAtomicSync(this.configPath, encrypted, { backup: options.backup });
+    }
+
     // 오프라인 복귀 금고를 vaultsConfig에 저장된 키로 재잠금 해제
-    async _reactivateVault(vaultId) {
+    // 금고 파일은 있는데 저장된 키로 복호화(GCM 인증)가 실패하면 다른 곳에서 비밀번호가 바뀐 것으로 보고 needs_password로 표시
+    async _reactivateVault(vaultId, options = {}) {
         if (!this.vaultsConfig) return null;
         const vaultEntry = this.vaultsConfig.otherVaults.find((v) => v.id === vaultId);
         if (!vaultEntry || !vaultEntry.encryptionKey) return null;
         if (!this.checkVaultAvailability(vaultId)) return null;
+        if (this.needsPasswordVaultIds.has(vaultId)) return null;
+
+        const vault = new Vault(vaultEntry.path);
+        if (!vault.exists()) return null;
         try {
-            const vault = new Vault(vaultEntry.path);
             const keyBuffer = Buffer.from(vaultEntry.encryptionKey, "hex");
-            await vault.unlockWithKey(keyBuffer);
+            const keyfile = vaultEntry.keyfileDigest ? Buffer.from(vaultEntry.keyfileDigest, "hex") : null;
+            await vault.unlockWithKey(keyBuffer, { keyfile });
             vault.setVaultId(vaultEntry.id);
-            this._wireVaultConflict(vault);
+            this._wireVault(vault);
             this.vaults.set(vaultId, vault);
             return vault;
-        } catch {
+        } catch (error) {
+            // I/O·형식 오류(동기화 중인 파일, 잠긴 파일 등)는 잠김 상태로 두고 다음 접근 때 다시 시도
+            if (error.code === Vault.VAULT_INVALID_KEY) {
+                this.needsPasswordVaultIds.add(vaultId);
+            }
+            if (options.throwOnError) throw error;
             return null;
         }
     }
@@ -354,30 +629,39 @@ class VaultManager {
         if (!this.systemVault) {
             this.systemVault = new Vault(this.localkeysDir);
             this.systemVault.setVaultId(SYSTEM_VAULT_ID);
-            this._wireVaultConflict(this.systemVault);
+            this._wireVault(this.systemVault);
             this.vaults.set(SYSTEM_VAULT_ID, this.systemVault);
         }
     }
 
     // vaults.enc를 시스템 금고 키로 복호화
     _loadVaultsConfig(key) {
+        let parsed = null;
         try {
-            const data = fs.readFileSync(this.configPath);
-            const parsed = CryptoUtil.decryptJson(data, key);
-            if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
-                this.vaultsConfig = parsed;
-                if (!Array.isArray(this.vaultsConfig.otherVaults)) {
-                    this.vaultsConfig.otherVaults = [];
-                }
-                return;
-            }
+            parsed = CryptoUtil.decryptJson(readFileWithRetrySync(this.configPath), key);
         } catch {
-            // 파일 없거나 복호화 실패-> 신규 생성
+            // 복호화 실패-> 마지막 정상본(.bak)으로 복구 시도
+            const backup = readBackupSync(this.configPath);
+            if (backup) {
+                try {
+                    parsed = CryptoUtil.decryptJson(backup, key);
+                    writeFileAtomicSync(this.configPath, backup, { backup: false });
+                    console.error("vaults.enc could not be decrypted; restored from the last good copy");
+                } catch {}
+            }
+        }
+
+        if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+            this.vaultsConfig = parsed;
+            if (!Array.isArray(this.vaultsConfig.otherVaults)) {
+                this.vaultsConfig.otherVaults = [];
+            }
+            return;
         }
 
         // vaults.enc 없거나 유효하지 않음-> 빈 설정으로 초기화 후 즉시 저장
         this.vaultsConfig = this._defaultVaultsConfig();
-        this.saveConfig();
+        this.saveConfig({ backup: false });
     }
 
     _defaultVaultsConfig() {
@@ -391,23 +675,36 @@ class VaultManager {
     _registerVaultEntry(name, lkvPath, vault) {
         const id = `vault_${Date.now()}`;
         vault.setVaultId(id);
-        this._wireVaultConflict(vault);
+        this._wireVault(vault);
         const vaultEntry = {
             id,
             name,
             path: lkvPath,
-            encryptionKey: vault.key.toString("hex"),
             createdAt: new Date().toISOString(),
         };
+        this._storeVaultKey(vaultEntry, vault);
         this.vaultsConfig.otherVaults.push(vaultEntry);
         this.vaults.set(id, vault);
         this.saveConfig();
-        const { encryptionKey: _key, ...publicEntry } = vaultEntry;
+        const { encryptionKey: _key, keyfileDigest: _keyfile, ...publicEntry } = vaultEntry;
         return publicEntry;
     }
 
+    // 금고 키와 키 파일 digest를 vaults.enc 항목에 기록
+    // vaults.enc에는 이미 금고 키가 있으므로 digest를 함께 두어도 노출 범위는 같음 (저장된 키로 연 금고의 비밀번호 변경 시 키 파일 유지용)
+    _storeVaultKey(vaultEntry, vault) {
+        vaultEntry.encryptionKey = vault.key.toString("hex");
+        const keyfileDigest = vault.getKeyfileDigest();
+        if (keyfileDigest) {
+            vaultEntry.keyfileDigest = keyfileDigest.toString("hex");
+        } else {
+            delete vaultEntry.keyfileDigest;
+        }
+    }
+
     _resetVaultState() {
         this.vaults.clear();
+        this.needsPasswordVaultIds.clear();
         this.systemVault = null;
         this.vaultsConfig = null;
         this.activeVaultId = SYSTEM_VAULT_ID;
@@ -2,19 +2,41 @@ const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const CryptoUtil = require("./crypto");
-const { isSilentResolvable, mergeVaultThreeWay, snapshotSecretForBaseline, normalizeFavoritesForCompare } = require("./vault-merge");
+const { writeFileAtomic, writeFileAtomicSync, readFileWithRetrySync, readBackupSync } = require("./atomic-file");
+const { buildVaultDiff, isSilentResolvable, mergeVaultData, mergeVaultThreeWay, snapshotSecretForBaseline, normalizeFavoritesForCompare } = require("./vault-merge");
+const VaultBackup = require("./vault-backup");
+const KeyChangeJournal = require("./key-change-journal");
+const { generateRecoveryKey, createRecoveryFile, unwrapVaultKey, rewrapRecoveryFile } = require("./recovery-key");
+const { KEYFILE_REQUIRED, mixKeyfile, keyfileError } = require("./keyfile");
 
 const VAULT_EXTERNAL_CHANGE = "VAULT_EXTERNAL_CHANGE";
+const VAULT_KEY_CHANGED = "VAULT_KEY_CHANGED";
+// 잠금 해제 실패 원인: 키가 맞지 않음(GCM 인증 실패) / 파일을 읽거나 해석할 수 없음(I/O, 형식 오류)
+const VAULT_INVALID_KEY = "VAULT_INVALID_KEY";
+const VAULT_UNREADABLE = "VAULT_UNREADABLE";
+
+// 자동 스냅샷 최소 간격: "change"는 저장이 잦아도 10분에 한 번, "daily"는 하루에 한 번
+const SNAPSHOT_INTERVAL_MS = {
+    change: 10 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+};
+const DEFAULT_BACKUP_POLICY = { enabled: true, frequency: "change", maxSnapshots: 10 };
 
 function sha256Hex(buffer) {
     return crypto.createHash("sha256").update(buffer).digest("hex");
 }
 
+// AES-GCM 인증 태그 검증 실패 (키가 다르거나 암호문이 변조됨)
+function isAuthFailure(error) {
+    return !!error && /unable to authenticate data/i.test(error.message || "");
+}
+
 class Vault {
     constructor(dataDir, options = {}) {
         this.dataDir = dataDir;
         this.vaultPath = path.join(dataDir, "vault.enc");
         this.saltPath = path.join(dataDir, "salt.txt");
+        this.recoveryPath = path.join(dataDir, "recovery.enc");
 
         this.isLocked = true;
         this.data = null;
@@ -24,6 +46,8 @@ class Vault {
 
         this._vaultId = options.vaultId ?? null;
         this._onConflictNotify = typeof options.onConflict === "function" ? options.onConflict : null;
+        // 내용 변경 알림 (reason: "loaded" | "changed" | "locked")
+        this._onChangeNotify = null;
         // vault.enc 암호문 전체의 SHA-256 (낙관적 동시성)
         this._diskContentHash = null;
         // 마지막으로 디스크와 맞췄을 때 시크릿 값 스냅샷(3-way 병합 공통 조상)
@@ -31,6 +55,14 @@ class Vault {
         this._periodicSyncInProgress = false;
         // 주기 병합 충돌 알림 스팸 방지 (ms 타임스탬프)
         this._periodicConflictNotifyCooldownUntil = 0;
+        // 잠금 해제 당시 salt.txt 내용 (다른 컴퓨터에서 비밀번호가 바뀌었는지 감지)
+        this._keySaltContent = null;
+        // 잠금 해제에 사용한 키 파일 digest (비밀번호 변경 시 같은 키 파일을 계속 요구하기 위해 보관)
+        this._keyfileDigest = null;
+
+        this.backups = new VaultBackup(dataDir);
+        this.keyChangeJournal = new KeyChangeJournal(dataDir);
+        this._backupPolicy = { ...DEFAULT_BACKUP_POLICY };
     }
 
     _refreshSyncBaseline() {
@@ -58,6 +90,9 @@ class Vault {
         if (this._periodicSyncInProgress) {
             return { didSync: false };
         }
+        if (this.hasKeyChangedOnDisk()) {
+            return { didSync: false, keyChanged: true };
+        }
         this._periodicSyncInProgress = true;
         try {
             if (this.saveTimeout) {
@@ -109,6 +144,18 @@ class Vault {
         }
     }
 
+    setChangeNotifier(fn) {
+        this._onChangeNotify = typeof fn === "function" ? fn : null;
+    }
+
+    _notifyChange(reason) {
+        try {
+            this._onChangeNotify?.(reason);
+        } catch (error) {
+            console.error("Vault change notifier failed:", error?.message || error);
+        }
+    }
+
     _setDiskHashFromCiphertext(encryptedBuffer) {
         this._diskContentHash = sha256Hex(encryptedBuffer);
     }
@@ -120,16 +167,12 @@ class Vault {
         if (this._diskContentHash == null) {
             return;
         }
-        if (!fs.existsSync(this.vaultPath)) {
-            const err = new Error("Vault file was removed or replaced externally");
-            err.code = VAULT_EXTERNAL_CHANGE;
-            throw err;
-        }
         let current;
         try {
-            current = fs.readFileSync(this.vaultPath);
+            // 다른 컴퓨터의 원자적 저장(rename) 직후 잠깐 파일이 없을 수 있어 재시도 후 판단
+            current = readFileWithRetrySync(this.vaultPath);
         } catch (error) {
-            const err = new Error("Could not read vault file");
+            const err = new Error(error.code === "ENOENT" ? "Vault file was removed or replaced externally" : "Could not read vault file");
             err.code = VAULT_EXTERNAL_CHANGE;
             throw err;
         }
@@ -144,21 +187,20 @@ class Vault {
         return fs.existsSync(this.vaultPath) && fs.existsSync(this.saltPath);
     }
 
-    async setup(password) {
+    // options.recoveryKey: true면 복구 키를 만들어 recovery.enc에 금고 키를 감싸 두고 { recoveryKey }로 반환 (한 번만 표시)
+    // options.keyfile: 키 파일 digest (지정 시 이후 잠금 해제에 비밀번호와 키 파일이 모두 필요)
+    async setup(password, options = {}) {
         if (this.exists()) {
             throw new Error("Vault already exists");
         }
 
-        const salt = CryptoUtil.generateSalt();
-        fs.writeFileSync(this.saltPath, salt.toString("hex"));
+        const header = this._createKeyHeader(options.keyfile ?? null);
+        this.key = await this._deriveKey(password, header, options.keyfile ?? null);
 
-        try {
-            fs.chmodSync(this.saltPath, 0o600);
-        } catch (error) {
-            console.error("Failed to set salt file permissions:", error.message);
-        }
-
-        this.key = CryptoUtil.deriveKey(password, salt);
+        const saltContent = CryptoUtil.serializeKdfHeader(header);
+        this._writeSaltFile(saltContent);
+        this._keySaltContent = saltContent;
+        this._keyfileDigest = options.keyfile ?? null;
 
         this.data = {
             version: "1.0.0",
@@ -173,12 +215,61 @@ class Vault {
 
         await this._save();
         this.isLocked = false;
+        this._notifyChange("loaded");
+
+        if (!options.recoveryKey) {
+            return { recoveryKey: null };
+        }
+        const recoveryKey = generateRecoveryKey();
+        writeFileAtomicSync(this.recoveryPath, await createRecoveryFile(this.key, recoveryKey), { backup: false });
+        return { recoveryKey };
+    }
+
+    hasRecoveryKey() {
+        return fs.existsSync(this.recoveryPath);
     }
 
-    async unlock(password) {
+    async unlockWithRecoveryKey(recoveryKey) {
         if (!this.exists()) {
             throw new Error("Vault does not exist");
         }
+        this._recoverKeyChange();
+        if (!this.hasRecoveryKey()) {
+            throw new Error("No recovery key was set up for this vault");
+        }
+
+        const key = await unwrapVaultKey(fs.readFileSync(this.recoveryPath, "utf8"), recoveryKey);
+        this._loadVaultData(key, "Invalid recovery key", { allowBackup: true });
+    }
+
+    // 금고 키가 바뀌면 같은 복구 키가 새 키를 감싸도록 갱신
+    // 실패하면 예외 (키 변경 저널 안에서 호출되므로 키 변경 전체를 되돌림, 복구 키가 이전 키에 남지 않도록)
+    _rewrapRecoveryKey(oldKey, newKey) {
+        if (!this.hasRecoveryKey()) return;
+        try {
+            const content = rewrapRecoveryFile(fs.readFileSync(this.recoveryPath, "utf8"), oldKey, newKey);
+            writeFileAtomicSync(this.recoveryPath, content, { backup: false });
+        } catch (error) {
+            throw new Error(`Failed to update recovery key: ${error.message}`);
+        }
+    }
+
+    // salt.txt에 키 파일 사용이 기록되어 있는지 (잠금 화면에서 키 파일 입력란 표시용)
+    requiresKeyfile() {
+        if (this.isLocked) this._recoverKeyChange();
+        try {
+            return CryptoUtil.parseKdfHeader(this._readSaltFile()).keyfile === true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // options.keyfile: 키 파일 digest (키 파일을 요구하지 않는 금고에서는 무시)
+    async unlock(password, options = {}) {
+        if (!this.exists()) {
+            throw new Error("Vault does not exist");
+        }
+        this._recoverKeyChange();
 
         try {
             const stats = fs.statSync(this.saltPath);
@@ -188,21 +279,198 @@ class Vault {
             }
         } catch (error) {}
 
-        const saltHex = fs.readFileSync(this.saltPath, "utf8");
-        const salt = Buffer.from(saltHex, "hex");
-        const key = CryptoUtil.deriveKey(password, salt);
+        const header = CryptoUtil.parseKdfHeader(this._readSaltFile());
+        const key = await this._deriveKey(password, header, options.keyfile ?? null);
+
+        this._loadVaultData(key, header.keyfile ? "Invalid password or keyfile" : "Invalid password", { allowBackup: true });
+        this._keyfileDigest = header.keyfile ? options.keyfile : null;
+    }
+
+    // 비밀번호(+키 파일)에서 금고 키 파생
+    async _deriveKey(password, header, keyfileDigest) {
+        if (header.keyfile && !keyfileDigest) {
+            throw keyfileError("This vault requires a keyfile", KEYFILE_REQUIRED);
+        }
+        const passwordKey = await CryptoUtil.deriveKeyFromHeader(password, header);
+        return header.keyfile ? mixKeyfile(passwordKey, keyfileDigest) : passwordKey;
+    }
+
+    _createKeyHeader(keyfileDigest, baseHeader = null) {
+        const header = baseHeader
+            ? { ...baseHeader, params: { ...baseHeader.params }, salt: CryptoUtil.generateSalt().toString("hex") }
+            : CryptoUtil.createKdfHeader();
+        delete header.keyfile;
+        if (keyfileDigest) {
+            // 키 파일 표시는 JSON 헤더에만 기록 가능 (기존 16진수 솔트 형식이면 v1으로 올림)
+            header.v = Math.max(header.v, 1);
+            header.keyfile = true;
+        }
+        return header;
+    }
+
+    // 현재 비밀번호(+현재 키 파일)가 맞는지 확인
+    async _verifyPassword(password) {
+        const currentKey = await this._deriveKey(password, CryptoUtil.parseKdfHeader(this._readSaltFile()), this._keyfileDigest);
+        if (currentKey.length !== this.key.length || !crypto.timingSafeEqual(currentKey, this.key)) {
+            throw new Error("Invalid password");
+        }
+    }
+
+    // 비밀번호 변경: 현재 비밀번호 확인 후 새 솔트로 키를 다시 파생하여 vault.enc 재암호화
+    // options: rekey와 같음 (journalFiles, writeDependents)
+    async changePassword(oldPassword, newPassword, options = {}) {
+        this._ensureUnlocked();
+        await this._verifyPassword(oldPassword);
+        return this.rekey(newPassword, options);
+    }
+
+    // 키 파일 설정·교체·해제 (keyfileDigest가 null이면 비밀번호만으로 열리도록 되돌림)
+    async changeKeyfile(password, keyfileDigest, options = {}) {
+        this._ensureUnlocked();
+        await this._verifyPassword(password);
+        return this.rekey(password, { ...options, keyfile: keyfileDigest });
+    }
+
+    // 새 비밀번호로 키 교체 -> 이전 키/솔트 반환
+    // 키 변경 저널(key-change-journal.js) 안에서 파일을 바꾸고, 실패하면 파일과 키를 모두 이전 상태로 되돌림
+    // options.keepKdf: 기존 KDF 알고리즘/파라미터 유지 (구버전 앱이 함께 여는 공유 금고용). 생략 시 기본 KDF로 업그레이드
+    // options.keyfile: 새 키 파일 digest, null이면 키 파일 해제. 생략 시 현재 키 파일 유지
+    // options.writeDependents(previous): 같은 키로 암호화된 다른 파일을 새 키로 저장 (확정 전에 실행)
+    // options.journalFiles: writeDependents가 바꾸는 이 금고 폴더의 파일 이름 (함께 되돌림)
+    async rekey(newPassword, options = {}) {
+        this._ensureUnlocked();
+
+        if (typeof newPassword !== "string" || !newPassword) {
+            throw new Error("Password cannot be empty");
+        }
+
+        const previous = { key: this.key, saltContent: this._readSaltFile(), keyfileDigest: this._keyfileDigest };
+        const current = CryptoUtil.parseKdfHeader(previous.saltContent);
+        const keyfileDigest = options.keyfile === undefined ? this._keyfileDigest : options.keyfile;
+        if (options.keyfile === undefined && current.keyfile && !keyfileDigest) {
+            throw keyfileError("The keyfile of this vault is required to change its password", KEYFILE_REQUIRED);
+        }
+
+        const header = this._createKeyHeader(keyfileDigest, options.keepKdf ? current : null);
+        const key = await this._deriveKey(newPassword, header, keyfileDigest);
+
+        await this._commitKeyChange(key, CryptoUtil.serializeKdfHeader(header), keyfileDigest, previous, options);
+        return previous;
+    }
+
+    // salt.txt의 KDF가 현재 기본값보다 약한지 (기존 PBKDF2 금고 등)
+    needsKdfUpgrade() {
+        try {
+            return CryptoUtil.isKdfHeaderOutdated(CryptoUtil.parseKdfHeader(this._readSaltFile()));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // 이전 키의 파일을 저널에 남긴 뒤 vault.enc -> salt.txt -> recovery.enc -> 스냅샷 -> 의존 파일 순서로 새 키로 저장하고 저널 삭제로 확정
+    async _commitKeyChange(key, saltContent, keyfileDigest, previous, options) {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        const files = [this.vaultPath, this.saltPath, this.recoveryPath].map((filePath) => path.basename(filePath));
+        this.keyChangeJournal.begin([...files, ...this.backups.journalFiles(), ...(options.journalFiles || [])]);
+        const diskState = { contentHash: this._diskContentHash, syncBaseline: this._syncBaseline };
+        try {
+            this.key = key;
+            await this._save(false);
+            this._writeSaltFile(saltContent);
+            this._keySaltContent = saltContent;
+            this._keyfileDigest = keyfileDigest;
+            this._rewrapRecoveryKey(previous.key, key);
+            this.backups.rekey(previous.key, key);
+            if (options.writeDependents) await options.writeDependents(previous);
+            this.keyChangeJournal.commit();
+        } catch (error) {
+            this._rollbackKeyChange(previous, diskState);
+            throw error;
+        }
+    }
 
-        this._loadVaultData(key, "Invalid password");
+    // 저널의 이전 파일로 되돌리고 이전 키로 복귀 (키 변경 직전에 저장되지 않았던 변경은 이전 키로 다시 저장)
+    _rollbackKeyChange(previous, diskState) {
+        this.key = previous.key;
+        this._keySaltContent = previous.saltContent;
+        this._keyfileDigest = previous.keyfileDigest ?? null;
+        this._diskContentHash = diskState.contentHash;
+        this._syncBaseline = diskState.syncBaseline;
+        try {
+            this.keyChangeJournal.rollback();
+        } catch (error) {
+            // 저널이 남아 있으면 다음 잠금 해제 때 다시 되돌림
+            console.error("Failed to roll back key change:", error.message);
+            return;
+        }
+        try {
+            // 그사이 다른 곳에서 vault.enc가 바뀌었으면 덮어쓰지 않음 (주기 동기화에서 병합)
+            this._saveSync(false);
+        } catch (error) {
+            console.error("Failed to save vault after rolling back key change:", error.message);
+        }
+    }
+
+    // 비밀번호 변경 도중 종료되어 남은 저널이 있으면 이전 파일로 되돌림 (잠금 해제 전에 호출)
+    _recoverKeyChange() {
+        try {
+            this.keyChangeJournal.recover();
+        } catch (error) {
+            console.error("Failed to recover an interrupted key change:", error.message);
+        }
+    }
+
+    _readSaltFile() {
+        return fs.readFileSync(this.saltPath, "utf8").trim();
+    }
+
+    // 다른 곳에서 rekey되어 salt.txt가 바뀌었으면 현재 키로는 더 이상 디스크를 읽을 수 없음
+    hasKeyChangedOnDisk() {
+        if (this.isLocked || this._keySaltContent == null) {
+            return false;
+        }
+        try {
+            return this._readSaltFile() !== this._keySaltContent;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // 강제 저장이라도 이전 키로 새 비밀번호의 금고를 덮어쓰지 않도록 차단
+    _ensureKeyMatchesDisk() {
+        if (this.hasKeyChangedOnDisk()) {
+            const err = new Error("Vault password was changed elsewhere");
+            err.code = VAULT_KEY_CHANGED;
+            throw err;
+        }
     }
 
-    async unlockWithKey(key) {
+    _writeSaltFile(saltContent) {
+        writeFileAtomicSync(this.saltPath, saltContent, { backup: false });
+    }
+
+    // options.keyfile: 저장된 키와 함께 보관한 키 파일 digest (비밀번호 변경 시 키 파일 유지용)
+    async unlockWithKey(key, options = {}) {
         if (!this.exists()) {
             throw new Error("Vault does not exist");
         }
+        this._recoverKeyChange();
+        // 저장된 키로 여는 경우 .bak 복구를 하지 않음: 다른 곳에서 비밀번호가 바뀌었다면
+        // 이전 키로 된 .bak이 열려 오래된 데이터로 새 금고를 덮어쓸 수 있음
         this._loadVaultData(key, "Invalid key");
+        this._keyfileDigest = options.keyfile ?? null;
+    }
+
+    getKeyfileDigest() {
+        return this._keyfileDigest;
     }
 
-    _loadVaultData(key, errorMessage) {
+    // options.allowBackup: vault.enc 복호화 실패 시 마지막 정상본(.bak)으로 복구 시도
+    _loadVaultData(key, errorMessage, options = {}) {
         try {
             const stats = fs.statSync(this.vaultPath);
             const mode = stats.mode & 0o777;
@@ -214,18 +482,43 @@ class Vault {
         this.key = key;
 
         try {
-            const encryptedData = fs.readFileSync(this.vaultPath);
+            let encryptedData = readFileWithRetrySync(this.vaultPath);
+            try {
+                this.data = CryptoUtil.decryptJson(encryptedData, this.key);
+            } catch (error) {
+                const backup = options.allowBackup ? readBackupSync(this.vaultPath) : null;
+                if (!backup) throw error;
+                this.data = CryptoUtil.decryptJson(backup, this.key);
+                // 손상된 vault.enc를 정상본으로 되돌림
+                console.error("vault.enc could not be decrypted; restored from the last good copy");
+                try {
+                    writeFileAtomicSync(this.vaultPath, backup, { backup: false });
+                    encryptedData = backup;
+                } catch (restoreError) {
+                    console.error("Failed to restore vault.enc:", restoreError.message);
+                }
+            }
             this._setDiskHashFromCiphertext(encryptedData);
-            this.data = CryptoUtil.decryptJson(encryptedData, this.key);
             this._normalizeData();
             this.isLocked = false;
             this._refreshSyncBaseline();
+            this._notifyChange("loaded");
         } catch (error) {
             this.key = null;
             this.data = null;
             this._diskContentHash = null;
             this._syncBaseline = null;
-            throw new Error(errorMessage);
+            const invalidKey = isAuthFailure(error);
+            const err = new Error(invalidKey ? errorMessage : `Could not read vault file: ${error.message}`);
+            err.code = invalidKey ? VAULT_INVALID_KEY : VAULT_UNREADABLE;
+            err.cause = error;
+            throw err;
+        }
+
+        try {
+            this._keySaltContent = this._readSaltFile();
+        } catch (error) {
+            this._keySaltContent = null;
         }
     }
 
@@ -245,6 +538,8 @@ class Vault {
             } catch (error) {
                 if (error.code === VAULT_EXTERNAL_CHANGE) {
                     console.error("Vault lock: 저장 생략(외부에서 vault.enc 변경됨) — 메모리에만 있던 변경은 반영되지 않습니다.");
+                } else if (error.code === VAULT_KEY_CHANGED) {
+                    console.error("Vault lock: 저장 생략(다른 곳에서 비밀번호 변경됨) — 메모리에만 있던 변경은 반영되지 않습니다.");
                 } else {
                     throw error;
                 }
@@ -254,7 +549,10 @@ class Vault {
             this.key = null;
             this._diskContentHash = null;
             this._syncBaseline = null;
+            this._keySaltContent = null;
+            this._keyfileDigest = null;
             this.isLocked = true;
+            this._notifyChange("locked");
         }
     }
 
@@ -672,23 +970,14 @@ class Vault {
             return;
         }
 
+        this._ensureKeyMatchesDisk();
         const encryptedData = CryptoUtil.encryptJson(this.data, this.key);
         this._verifyDiskUnchangedBeforeSave(force);
+        this._snapshotBeforeSave();
 
-        return new Promise((resolve, reject) => {
-            fs.writeFile(this.vaultPath, encryptedData, (err) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    try {
-                        fs.chmodSync(this.vaultPath, 0o600);
-                    } catch (error) {}
-                    this._setDiskHashFromCiphertext(encryptedData);
-                    this._refreshSyncBaseline();
-                    resolve();
-                }
-            });
-        });
+        await writeFileAtomic(this.vaultPath, encryptedData);
+        this._setDiskHashFromCiphertext(encryptedData);
+        this._refreshSyncBaseline();
     }
 
     _saveSync(force = false) {
@@ -696,18 +985,18 @@ class Vault {
             return;
         }
 
+        this._ensureKeyMatchesDisk();
         const encryptedData = CryptoUtil.encryptJson(this.data, this.key);
         this._verifyDiskUnchangedBeforeSave(force);
-        fs.writeFileSync(this.vaultPath, encryptedData);
+        this._snapshotBeforeSave();
+        writeFileAtomicSync(this.vaultPath, encryptedData);
 
-        try {
-            fs.chmodSync(this.vaultPath, 0o600);
-        } catch (error) {}
         this._setDiskHashFromCiphertext(encryptedData);
         this._refreshSyncBaseline();
     }
 
     _scheduleAutoSave() {
+        this._notifyChange("changed");
         if (this.saveTimeout) {
             clearTimeout(this.saveTimeout);
         }
@@ -763,7 +1052,7 @@ class Vault {
         this._ensureUnlocked();
         let encryptedData;
         try {
-            encryptedData = fs.readFileSync(this.vaultPath);
+            encryptedData = readFileWithRetrySync(this.vaultPath);
         } catch (error) {
             throw new Error("Vault file was removed or replaced externally");
         }
@@ -771,17 +1060,15 @@ class Vault {
         this.data = CryptoUtil.decryptJson(encryptedData, this.key);
         this._normalizeData();
         this._refreshSyncBaseline();
+        this._notifyChange("changed");
     }
 
     isDiskStale() {
         if (this.isLocked || this._diskContentHash == null) {
             return false;
         }
-        if (!fs.existsSync(this.vaultPath)) {
-            return true;
-        }
         try {
-            const current = fs.readFileSync(this.vaultPath);
+            const current = readFileWithRetrySync(this.vaultPath);
             return sha256Hex(current) !== this._diskContentHash;
         } catch (error) {
             return true;
@@ -804,7 +1091,7 @@ class Vault {
     // 디스크의 vault.enc를 복호화한 뒤 정규화한 스냅샷 (메모리의 this.data는 그대로)
     peekRemoteData() {
         this._ensureUnlocked();
-        const encryptedData = fs.readFileSync(this.vaultPath);
+        const encryptedData = readFileWithRetrySync(this.vaultPath);
         const raw = CryptoUtil.decryptJson(encryptedData, this.key);
         return this.getNormalizedCopyOfData(raw);
     }
@@ -813,6 +1100,194 @@ class Vault {
     applyMergedData(mergedPlain) {
         this._ensureUnlocked();
         this.data = this.getNormalizedCopyOfData(mergedPlain);
+        this._notifyChange("changed");
+    }
+
+    // 백업(스냅샷) 관련 메서드
+    setBackupPolicy(policy) {
+        this._backupPolicy = { ...DEFAULT_BACKUP_POLICY, ...policy };
+    }
+
+    // 덮어쓰기 직전의 vault.enc를 스냅샷으로 남김 (정책상 때가 되었을 때만, 실패해도 저장은 계속)
+    _snapshotBeforeSave() {
+        const policy = this._backupPolicy;
+        if (!policy.enabled) return;
+
+        try {
+            const latest = this.backups.latestCreatedAt();
+            const interval = SNAPSHOT_INTERVAL_MS[policy.frequency] ?? SNAPSHOT_INTERVAL_MS.change;
+            if (latest !== null && Date.now() - latest < interval) return;
+
+            let current;
+            try {
+                current = fs.readFileSync(this.vaultPath);
+                // 키 변경 중(디스크는 아직 이전 키)이거나 손상된 파일은 스냅샷으로 남기지 않음
+                CryptoUtil.decryptJson(current, this.key);
+            } catch (error) {
+                return;
+            }
+            this.backups.create(current, "auto", policy.maxSnapshots);
+        } catch (error) {
+            console.error("Failed to create vault snapshot:", error.message);
+        }
+    }
+
+    // 현재 메모리 상태를 스냅샷으로 저장 (수동 백업, 복원 직전 백업)
+    createSnapshot(reason = "manual") {
+        this._ensureUnlocked();
+        const encryptedData = CryptoUtil.encryptJson(this.data, this.key);
+        return this.backups.create(encryptedData, reason, this._backupPolicy.maxSnapshots);
+    }
+
+    listSnapshots() {
+        this._ensureUnlocked();
+        return this.backups.list().map((snapshot) => {
+            try {
+                const data = this._readSnapshotData(snapshot.id);
+                const projects = Object.values(data.projects);
+                return {
+                    ...snapshot,
+                    projectCount: projects.length,
+                    secretCount: projects.reduce((sum, project) => sum + Object.keys(project.secrets).length, 0),
+                    readable: true,
+                };
+            } catch (error) {
+                // 다른 키로 암호화된 스냅샷(비밀번호 변경 전 다른 컴퓨터에서 생성 등)
+                return { ...snapshot, projectCount: 0, secretCount: 0, readable: false };
+            }
+        });
+    }
+
+    _readSnapshotData(id) {
+        let encryptedData;
+        try {
+            encryptedData = this.backups.read(id);
+        } catch (error) {
+            throw new Error("Snapshot not found");
+        }
+
+        let raw;
+        try {
+            raw = CryptoUtil.decryptJson(encryptedData, this.key);
+        } catch (error) {
+            throw new Error("Snapshot could not be decrypted with the current vault key");
+        }
+        return this.getNormalizedCopyOfData(raw);
+    }
+
+    // local = 현재 데이터, remote = 스냅샷 (only_remote: 스냅샷에만 있음, only_local: 이후 추가됨)
+    getSnapshotDiff(id) {
+        this._ensureUnlocked();
+        return buildVaultDiff(this.data, this._readSnapshotData(id));
+    }
+
+    // selectedIds가 없으면 금고 전체를 스냅샷으로 되돌리고, 있으면 buildVaultDiff 행 id 단위로 선택 복원
+    async restoreSnapshot(id, selectedIds = null) {
+        this._ensureUnlocked();
+        const snapshot = this._readSnapshotData(id);
+
+        // 복원도 되돌릴 수 있도록 현재 상태를 먼저 남김
+        this.createSnapshot("restore");
+
+        if (!Array.isArray(selectedIds)) {
+            this.data = snapshot;
+            this.data.updatedAt = new Date().toISOString();
+            this._notifyChange("changed");
+        } else {
+            const selected = new Set(selectedIds);
+            const { rows } = buildVaultDiff(this.data, snapshot);
+            for (const row of rows) {
+                if (selected.has(row.id)) {
+                    this._restoreDiffRow(row, snapshot);
+                }
+            }
+        }
+
+        await this.saveNow();
+    }
+
+    _restoreDiffRow(row, snapshot) {
+        if (row.kind === "project") {
+            if (row.status === "only_local") {
+                this.deleteProject(row.project);
+            } else {
+                this.data.projects[row.project] = JSON.parse(JSON.stringify(snapshot.projects[row.project]));
+                this.data.updatedAt = new Date().toISOString();
+            }
+            return;
+        }
+
+        if (row.status === "only_local") {
+            this.deleteSecret(row.project, row.key);
+            return;
+        }
+
+        const secret = snapshot.projects[row.project].secrets[row.key];
+        if (row.status === "conflict") {
+            // 현재 값은 히스토리에 남기고 스냅샷 값으로 교체
+            const value = typeof secret === "string" ? secret : secret.value;
+            const expiresAt = typeof secret === "object" ? (secret.expiresAt ?? null) : null;
+            this.setSecret(row.project, row.key, value, expiresAt);
+        } else {
+            const now = new Date().toISOString();
+            this.data.projects[row.project].secrets[row.key] = JSON.parse(JSON.stringify(secret));
+            this.data.projects[row.project].updatedAt = now;
+            this.data.updatedAt = now;
+        }
+    }
+
+    // 내보내기/가져오기 관련 메서드
+    exportData() {
+        this._ensureUnlocked();
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    // local = 현재 데이터, remote = 가져올 데이터
+    getImportDiff(incoming) {
+        this._ensureUnlocked();
+        return buildVaultDiff(this.data, this.getNormalizedCopyOfData(incoming));
+    }
+
+    // options.mode "merge": mergeVaultData로 현재 금고에 병합 (options.conflicts: { "project::key": "local"|"remote" })
+    // options.mode "new": 가져온 프로젝트를 모두 새 프로젝트로 추가 (이름이 겹치면 "이름 (2)" 형식으로 변경)
+    async importData(incoming, options = {}) {
+        this._ensureUnlocked();
+        const imported = this.getNormalizedCopyOfData(incoming);
+
+        // 가져오기도 되돌릴 수 있도록 현재 상태를 먼저 남김
+        this.createSnapshot("import");
+
+        let renamed = {};
+        if (options.mode === "new") {
+            renamed = this._addImportedProjects(imported);
+        } else {
+            const conflicts = options.conflicts && typeof options.conflicts === "object" ? options.conflicts : {};
+            this.applyMergedData(mergeVaultData(JSON.parse(JSON.stringify(this.data)), imported, conflicts));
+        }
+
+        await this.saveNow();
+        return { renamed };
+    }
+
+    _addImportedProjects(imported) {
+        const renamed = {};
+        for (const [name, project] of Object.entries(imported.projects)) {
+            let targetName = name;
+            for (let i = 2; this.data.projects[targetName]; i++) {
+                targetName = `${name} (${i})`;
+            }
+            if (targetName !== name) renamed[name] = targetName;
+
+            this.data.projects[targetName] = { ...project, name: targetName };
+            if (imported.favorites.projects.includes(name)) {
+                this.data.favorites.projects.push(targetName);
+            }
+            if (imported.favorites.secrets[name]) {
+                this.data.favorites.secrets[targetName] = [...imported.favorites.secrets[name]];
+            }
+        }
+        this.data.updatedAt = new Date().toISOString();
+        return renamed;
     }
 
     // 즐겨찾기 관련 메서드
@@ -931,5 +1406,8 @@ class Vault {
 }
 
 Vault.VAULT_EXTERNAL_CHANGE = VAULT_EXTERNAL_CHANGE;
+Vault.VAULT_KEY_CHANGED = VAULT_KEY_CHANGED;
+Vault.VAULT_INVALID_KEY = VAULT_INVALID_KEY;
+Vault.VAULT_UNREADABLE = VAULT_UNREADABLE;
 
 module.exports = Vault;
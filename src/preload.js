@@ -4,9 +4,23 @@ const { contextBridge, ipcRenderer } = require("electron");
 const api = {
     // Vault 관리
     vault: {
-        setup: (password) => ipcRenderer.invoke("vault:setup", password),
-        unlock: (password) => ipcRenderer.invoke("vault:unlock", password),
+        setup: (password, options) => ipcRenderer.invoke("vault:setup", password, options),
+        unlock: (password, options) => ipcRenderer.invoke("vault:unlock", password, options),
+        keyfileStatus: () => ipcRenderer.invoke("vault:keyfileStatus"),
+        unlockThrottle: () => ipcRenderer.invoke("vault:unlockThrottle"),
+        hasRecoveryKey: () => ipcRenderer.invoke("vault:hasRecoveryKey"),
+        unlockWithRecoveryKey: (recoveryKey) => ipcRenderer.invoke("vault:unlockWithRecoveryKey", recoveryKey),
+        resetPassword: (newPassword) => ipcRenderer.invoke("vault:resetPassword", newPassword),
+        cancelRecovery: () => ipcRenderer.invoke("vault:cancelRecovery"),
+        onUnlockProgress: (callback) => {
+            if (typeof callback !== "function") return () => {};
+            const handler = (_event, progress) => callback(progress);
+            ipcRenderer.on("vault:unlock-progress", handler);
+            return () => ipcRenderer.removeListener("vault:unlock-progress", handler);
+        },
         lock: () => ipcRenderer.invoke("vault:lock"),
+        changePassword: (oldPassword, newPassword) => ipcRenderer.invoke("vault:changePassword", oldPassword, newPassword),
+        changeKeyfile: (password, keyfilePath) => ipcRenderer.invoke("vault:changeKeyfile", password, keyfilePath),
         save: () => ipcRenderer.invoke("vault:save"),
         saveForce: () => ipcRenderer.invoke("vault:saveForce"),
         reloadFromDisk: () => ipcRenderer.invoke("vault:reloadFromDisk"),
@@ -26,14 +40,22 @@ const api = {
             ipcRenderer.on("vault:data-synced", handler);
             return () => ipcRenderer.removeListener("vault:data-synced", handler);
         },
+        onNeedsPassword: (callback) => {
+            if (typeof callback !== "function") return () => {};
+            const handler = (_event, payload) => callback(payload);
+            ipcRenderer.on("vault:needs-password", handler);
+            return () => ipcRenderer.removeListener("vault:needs-password", handler);
+        },
         exists: () => ipcRenderer.invoke("vault:exists"),
         // Multi-vault
         list: () => ipcRenderer.invoke("vaults:list"),
         switch: (vaultId) => ipcRenderer.invoke("vault:switch", vaultId),
-        create: (name, folderPath, password) => ipcRenderer.invoke("vault:create", name, folderPath, password),
-        import: (name, lkvPath, password) => ipcRenderer.invoke("vault:import", name, lkvPath, password),
+        create: (name, folderPath, password, options) => ipcRenderer.invoke("vault:create", name, folderPath, password, options),
+        import: (name, lkvPath, password, options) => ipcRenderer.invoke("vault:import", name, lkvPath, password, options),
         rename: (vaultId, newName) => ipcRenderer.invoke("vault:rename", vaultId, newName),
         remove: (vaultId) => ipcRenderer.invoke("vault:remove", vaultId),
+        changeVaultPassword: (vaultId, newPassword, options) => ipcRenderer.invoke("vault:changeExternalPassword", vaultId, newPassword, options),
+        unlockExternal: (vaultId, password, options) => ipcRenderer.invoke("vault:unlockExternal", vaultId, password, options),
     },
 
     // 다이얼로그
@@ -41,6 +63,12 @@ const api = {
         selectFolder: () => ipcRenderer.invoke("dialog:selectFolder"),
     },
 
+    // 키 파일
+    keyfile: {
+        select: () => ipcRenderer.invoke("keyfile:select"),
+        generate: () => ipcRenderer.invoke("keyfile:generate"),
+    },
+
     // 프로젝트 관리
     projects: {
         get: () => ipcRenderer.invoke("projects:get"),
@@ -63,6 +91,22 @@ const api = {
         restoreVersion: (projectName, key, versionIndex) => ipcRenderer.invoke("secret:restoreVersion", projectName, key, versionIndex),
     },
 
+    // 금고 스냅샷 (백업)
+    backups: {
+        list: () => ipcRenderer.invoke("backups:list"),
+        diff: (snapshotId) => ipcRenderer.invoke("backups:diff", snapshotId),
+        restore: (snapshotId, selectedIds) => ipcRenderer.invoke("backups:restore", snapshotId, selectedIds),
+        create: () => ipcRenderer.invoke("backups:create"),
+    },
+
+    // 금고 전체 암호화 내보내기/가져오기 (.lkbackup)
+    bundle: {
+        export: (passphrase) => ipcRenderer.invoke("bundle:export", passphrase),
+        selectFile: () => ipcRenderer.invoke("bundle:selectFile"),
+        preview: (filePath, passphrase) => ipcRenderer.invoke("bundle:preview", filePath, passphrase),
+        import: (filePath, passphrase, options) => ipcRenderer.invoke("bundle:import", filePath, passphrase, options),
+    },
+
     // 로그 관리
     logs: {
         get: () => ipcRenderer.invoke("logs:get"),
@@ -70,6 +114,25 @@ const api = {
         export: () => ipcRenderer.invoke("logs:export"),
     },
 
+    // CLI 접근 정책
+    policies: {
+        list: () => ipcRenderer.invoke("policies:list"),
+        save: (policies) => ipcRenderer.invoke("policies:save", policies),
+    },
+
+    // CLI 접근 토큰
+    tokens: {
+        list: () => ipcRenderer.invoke("tokens:list"),
+        create: (options) => ipcRenderer.invoke("tokens:create", options),
+        revoke: (id) => ipcRenderer.invoke("tokens:revoke", id),
+    },
+
+    // 기억된 CLI 승인
+    approvals: {
+        list: () => ipcRenderer.invoke("approvals:list"),
+        revoke: (id) => ipcRenderer.invoke("approvals:revoke", id),
+    },
+
     // 화면 전환
     navigate: (page) => ipcRenderer.invoke("navigate", page),
 
@@ -149,9 +212,10 @@ contextBridge.exposeInMainWorld("isDev", process.argv.includes("--dev"));
 // 승인 다이얼로그를 위한 추가 API도 contextBridge로 노출
 contextBridge.exposeInMainWorld("electronAPI", {
     // 승인 응답 전송
-    sendApprovalResponse: (approved, channel) => {
+    // response: { remember(다시 묻지 않을 기간, 없으면 이번만 허용), approveAll(같은 프로젝트의 대기 요청도 승인), keys(선택한 키) }
+    sendApprovalResponse: (approved, channel, response = {}) => {
         if (channel) {
-            ipcRenderer.send(channel, approved);
+            ipcRenderer.send(channel, approved, response);
         }
     },
 
@@ -161,4 +225,11 @@ contextBridge.exposeInMainWorld("electronAPI", {
             callback(data);
         });
     },
+
+    // 승인 대기열 상태 변경 수신
+    onApprovalQueue: (callback) => {
+        ipcRenderer.on("approval:queue", (event, status) => {
+            callback(status);
+        });
+    },
 });